@@ -11,8 +11,11 @@ const {
   normalizePath,
   requestUrl,
 } = require("obsidian");
-const { execFile } = require("child_process");
+const { execFile, spawn } = require("child_process");
+const crypto = require("crypto");
 const fs = require("fs");
+const http = require("http");
+const https = require("https");
 let buildFolderWeightMap = (folderPaths = []) => {
   const cleaned = Array.isArray(folderPaths)
     ? folderPaths.map((entry) => String(entry || "").trim()).filter(Boolean)
@@ -59,11 +62,69 @@ try {
 
 const OLLAMA_DEFAULT_BASE_URL = "http://127.0.0.1:11434";
 const LMSTUDIO_DEFAULT_BASE_URL = "http://127.0.0.1:1234/v1";
+const LLAMACPP_DEFAULT_BASE_URL = "http://127.0.0.1:8080";
+const SUPPORTED_PROVIDERS = ["ollama", "lmstudio", "llamacpp"];
+const CUSTOM_PROVIDER_PREFIX = "custom:";
+const OLLAMA_HOST_PROVIDER_PREFIX = "ollama:";
+const OLLAMA_WARM_KEEP_ALIVE = "10m";
+const PROBE_TIMEOUT_MS = 120000;
+const PROBE_MAX_TOKENS = 512;
+const PROBE_TOOLS_MAX_TOKENS = 1024;
+const BENCHMARK_PROMPT =
+  "Write a short paragraph (about 120 words) explaining what a hash map is and when to use one.";
+const BENCHMARK_MAX_TOKENS = 256;
+const DISCOVERED_SORT_OPTIONS = ["default", "speed", "ttft"];
+const OLLAMA_SHOW_CONCURRENCY = 4;
+const HEALTH_CHECK_TIMEOUT_MS = 5000;
+const HEALTH_SLOW_THRESHOLD_MS = 3000;
+const SCAN_HISTORY_LIMIT = 50;
+const OLLAMA_SERVE_READY_TIMEOUT_MS = 15000;
+const OLLAMA_SERVE_LOG_LIMIT = 200;
+const RULE_VERDICTS = ["allow", "block"];
+const PROBE_IMAGE_DATA_URL =
+  "data:image/png;base64,iVBORw0KGgoAAAANSUhEUgAAABAAAAAQCAIAAACQkWg2AAAAFklEQVR42mP4z8BAEmIY1TCqYfhqAACQ+f8B8u7oVwAAAABJRU5ErkJggg==";
+const WIRE_API_OPTIONS = ["responses", "chat_completions"];
 const CONTEXT_PACK_REF_REGEX = /@context-pack\(([a-z0-9][a-z0-9\-]{5,})\)/gi;
 const INLINE_CONTEXT_ONLY_GUIDANCE =
   "[지시] 파일/폴더 탐색 도구(List/Search/Glob/Read)를 호출하지 말고, 아래 컨텍스트 텍스트만 근거로 답하세요. (Use only provided context.)";
 const INLINE_CONTEXT_ONLY_GUARD =
   "[Context Rule] Use only the supplied context. Do not call filesystem tools (List/Search/Glob/Read).";
+const PROFILE_FRONTMATTER_KEY = "local-gate-profile";
+const SETTINGS_SCHEMA_VERSION = 2;
+const AGENT_CLIENT_BACKUP_LIMIT = 10;
+const AGENT_CLIENT_BACKUP_FOLDER = "agent-client-backups";
+const AGENT_CLIENT_BASE_FILE = "agent-client-base.json";
+const AGENT_CLIENT_OWNED_FIELDS = ["defaultAgentId", "nodePath", "codex.command", "codex.args"];
+const SETTINGS_BUNDLE_FORMAT = "local-gate-settings";
+const SETTINGS_BUNDLE_VERSION = 1;
+const SETTINGS_BUNDLE_KEYS = [
+  "profiles",
+  "lastProfileId",
+  "ollamaBaseUrl",
+  "lmStudioBaseUrl",
+  "llamaCppBaseUrl",
+  "ollamaHosts",
+  "customEndpoints",
+  "enableOllamaScan",
+  "enableLmStudioScan",
+  "enableLlamaCppScan",
+  "allowNonToolsChatModels",
+  "compatibilityRules",
+  "modelOverrides",
+  "autoSwitchProfileByNote",
+  "folderProfileMappings",
+  "contextPackTopK",
+  "contextPackMaxItems",
+  "contextPackInjectInline",
+  "contextPackIncludePreviews",
+  "contextPackAutoPreviewFromQuery",
+  "contextPackForceToollessSend",
+  "suppressThinkingSignals",
+  "preferChatCompletionsForVision",
+];
+const SECRET_ENV_NAME_REGEX = /(KEY|TOKEN|SECRET|PASSWORD|AUTH)/i;
+const SYSTEM_PROMPT_OPEN = "[System Prompt]";
+const SYSTEM_PROMPT_CLOSE = "[/System Prompt]";
 
 const COMMON_BIN_PATHS = [
   "/opt/homebrew/bin",
@@ -134,14 +195,112 @@ function normalizeLmStudioBaseUrl(rawUrl) {
   return value;
 }
 
+function normalizeLlamaCppBaseUrl(rawUrl) {
+  const fallback = LLAMACPP_DEFAULT_BASE_URL;
+  let value = sanitizeString(rawUrl, fallback);
+  value = ensureNoTrailingSlash(value);
+  if (value.endsWith("/v1")) {
+    value = value.slice(0, -3);
+  }
+  return value;
+}
+
+function normalizeCustomEndpointBaseUrl(rawUrl) {
+  let value = ensureNoTrailingSlash(sanitizeString(rawUrl, ""));
+  if (!value) {
+    return "";
+  }
+  if (!/\/v\d+$/.test(value)) {
+    value = `${value}/v1`;
+  }
+  return value;
+}
+
+function providerKind(provider) {
+  const value = sanitizeString(provider, "");
+  const separator = value.indexOf(":");
+  return separator >= 0 ? value.slice(0, separator) : value;
+}
+
+function toCustomProviderKey(endpointId) {
+  return `${CUSTOM_PROVIDER_PREFIX}${sanitizeString(endpointId, "")}`;
+}
+
+function toOllamaHostProviderKey(hostId) {
+  return `${OLLAMA_HOST_PROVIDER_PREFIX}${sanitizeString(hostId, "")}`;
+}
+
+function findOllamaHost(settings, provider) {
+  const key = sanitizeString(provider, "");
+  if (!key.startsWith(OLLAMA_HOST_PROVIDER_PREFIX) || !settings || !Array.isArray(settings.ollamaHosts)) {
+    return null;
+  }
+  return settings.ollamaHosts.find((entry) => toOllamaHostProviderKey(entry.id) === key) || null;
+}
+
+function formatBytes(rawBytes) {
+  const bytes = Number(rawBytes);
+  if (!Number.isFinite(bytes) || bytes <= 0) {
+    return "0 B";
+  }
+  const units = ["B", "KB", "MB", "GB", "TB"];
+  let value = bytes;
+  let unitIndex = 0;
+  while (value >= 1024 && unitIndex < units.length - 1) {
+    value /= 1024;
+    unitIndex += 1;
+  }
+  return `${value.toFixed(unitIndex === 0 ? 0 : 1)} ${units[unitIndex]}`;
+}
+
+function parseOllamaPsPayload(payload) {
+  const entries = Array.isArray(payload && payload.models) ? payload.models : [];
+  const result = {};
+  entries.forEach((entry) => {
+    const name = sanitizeString(entry && (entry.name || entry.model), "");
+    if (!name) {
+      return;
+    }
+    const size = Number(entry.size) || 0;
+    const sizeVram = Number(entry.size_vram) || 0;
+    result[name] = {
+      sizeVram,
+      sizeRam: Math.max(0, size - sizeVram),
+      expiresAt: sanitizeString(entry.expires_at, ""),
+    };
+  });
+  return result;
+}
+
+function formatHostFromUrl(rawUrl) {
+  const value = sanitizeString(rawUrl, "");
+  const match = value.match(/^[a-z]+:\/\/([^/]+)/i);
+  return match ? match[1] : value;
+}
+
+function findCustomEndpoint(settings, provider) {
+  const key = sanitizeString(provider, "");
+  if (!key.startsWith(CUSTOM_PROVIDER_PREFIX) || !settings || !Array.isArray(settings.customEndpoints)) {
+    return null;
+  }
+  return settings.customEndpoints.find((entry) => toCustomProviderKey(entry.id) === key) || null;
+}
+
 function toOpenAiEndpoint(provider, configuredBaseUrl) {
-  if (provider === "ollama") {
+  if (providerKind(provider) === "ollama") {
     const base = normalizeOllamaBaseUrl(configuredBaseUrl);
     return `${base}/v1`;
   }
   if (provider === "lmstudio") {
     return normalizeLmStudioBaseUrl(configuredBaseUrl);
   }
+  if (provider === "llamacpp") {
+    const base = normalizeLlamaCppBaseUrl(configuredBaseUrl);
+    return `${base}/v1`;
+  }
+  if (providerKind(provider) === "custom") {
+    return normalizeCustomEndpointBaseUrl(configuredBaseUrl);
+  }
   return sanitizeString(configuredBaseUrl, "");
 }
 
@@ -158,6 +317,292 @@ function buildLocalCodexArgs(model, openAiBaseUrl) {
   ];
 }
 
+function stripSystemPromptBlock(text) {
+  const value = String(text || "");
+  if (!value.startsWith(SYSTEM_PROMPT_OPEN)) {
+    return value;
+  }
+  const closeIndex = value.indexOf(SYSTEM_PROMPT_CLOSE);
+  if (closeIndex < 0) {
+    return value;
+  }
+  return value.slice(closeIndex + SYSTEM_PROMPT_CLOSE.length).replace(/^\s+/, "");
+}
+
+function stripFrontmatter(text) {
+  return String(text || "").replace(/^---\r?\n[\s\S]*?\r?\n---[ \t]*(?:\r?\n|$)/, "");
+}
+
+function isSecretEnvEntry(entry) {
+  const name = String(entry || "").split("=")[0];
+  return name === "PATH" || SECRET_ENV_NAME_REGEX.test(name);
+}
+
+function isMachineLocalEnvEntry(entry) {
+  const value = String(entry || "").split("=").slice(1).join("=").trim();
+  return isSecretEnvEntry(entry) || /^(?:\/|~[\\/]|[A-Za-z]:[\\/]|\\\\)/.test(value);
+}
+
+function toBundleProfile(profile) {
+  const command = sanitizeString(profile.command, "codex-acp");
+  return {
+    id: profile.id,
+    name: profile.name,
+    provider: profile.provider,
+    model: profile.model,
+    endpoint: profile.endpoint,
+    capabilities: sanitizeStringArray(profile.capabilities),
+    command: isCodexAcpCommand(command) || /[\\/]/.test(command) ? "codex-acp" : command,
+    extraArgs: sanitizeStringArray(profile.extraArgs),
+    env: sanitizeStringArray(profile.env).filter((entry) => !isMachineLocalEnvEntry(entry)),
+    setAsDefaultAgent: profile.setAsDefaultAgent !== false,
+    generation: sanitizeGenerationParams(profile.generation),
+    systemPrompt: sanitizeString(profile.systemPrompt, ""),
+    systemPromptNote: sanitizeString(profile.systemPromptNote, ""),
+    publishAsAgent: profile.publishAsAgent === true,
+    agentDisplayName: sanitizeString(profile.agentDisplayName, ""),
+  };
+}
+
+function buildSettingsBundle(settings) {
+  const values = {};
+  SETTINGS_BUNDLE_KEYS.forEach((key) => {
+    if (settings[key] !== undefined) {
+      values[key] = clone(settings[key]);
+    }
+  });
+  values.profiles = settings.profiles.map((profile) => toBundleProfile(profile));
+  values.customEndpoints = settings.customEndpoints.map((endpoint) => ({
+    ...clone(endpoint),
+    headers: Object.fromEntries(Object.keys(endpoint.headers || {}).map((name) => [name, ""])),
+  }));
+  return {
+    format: SETTINGS_BUNDLE_FORMAT,
+    version: SETTINGS_BUNDLE_VERSION,
+    exportedAt: new Date().toISOString(),
+    settings: values,
+  };
+}
+
+function parseSettingsBundle(rawText) {
+  let parsed = null;
+  try {
+    parsed = JSON.parse(rawText);
+  } catch (error) {
+    throw new Error(`not valid JSON (${error.message})`);
+  }
+  if (!isPlainObject(parsed) || parsed.format !== SETTINGS_BUNDLE_FORMAT) {
+    throw new Error("not a Local Gate settings bundle");
+  }
+  const version = Number(parsed.version) || 0;
+  if (version < 1 || version > SETTINGS_BUNDLE_VERSION) {
+    throw new Error(`unsupported bundle version ${parsed.version}`);
+  }
+  if (!isPlainObject(parsed.settings)) {
+    throw new Error("bundle has no settings");
+  }
+  const settings = {};
+  SETTINGS_BUNDLE_KEYS.forEach((key) => {
+    if (key in parsed.settings) {
+      settings[key] = parsed.settings[key];
+    }
+  });
+  return { version, exportedAt: sanitizeString(parsed.exportedAt, ""), settings };
+}
+
+function diffTextLines(before, after) {
+  const a = String(before || "").split("\n");
+  const b = String(after || "").split("\n");
+  if (a.length * b.length > 4000000) {
+    return [...a.map((line) => ({ type: "del", line })), ...b.map((line) => ({ type: "add", line }))];
+  }
+  const lengths = Array.from({ length: a.length + 1 }, () => new Uint32Array(b.length + 1));
+  for (let i = a.length - 1; i >= 0; i -= 1) {
+    for (let j = b.length - 1; j >= 0; j -= 1) {
+      lengths[i][j] = a[i] === b[j] ? lengths[i + 1][j + 1] + 1 : Math.max(lengths[i + 1][j], lengths[i][j + 1]);
+    }
+  }
+  const out = [];
+  let i = 0;
+  let j = 0;
+  while (i < a.length && j < b.length) {
+    if (a[i] === b[j]) {
+      out.push({ type: "same", line: a[i] });
+      i += 1;
+      j += 1;
+    } else if (lengths[i + 1][j] >= lengths[i][j + 1]) {
+      out.push({ type: "del", line: a[i] });
+      i += 1;
+    } else {
+      out.push({ type: "add", line: b[j] });
+      j += 1;
+    }
+  }
+  a.slice(i).forEach((line) => out.push({ type: "del", line }));
+  b.slice(j).forEach((line) => out.push({ type: "add", line }));
+  return out;
+}
+
+function diffAgentClientSettings(before, after) {
+  const beforeAgents = new Map(
+    (Array.isArray(before && before.customAgents) ? before.customAgents : []).map((agent) => [sanitizeString(agent && agent.id, ""), agent])
+  );
+  const afterAgents = new Map(
+    (Array.isArray(after && after.customAgents) ? after.customAgents : []).map((agent) => [sanitizeString(agent && agent.id, ""), agent])
+  );
+  const label = (agent) => `${sanitizeString(agent.displayName, agent.id)} (${agent.id})`;
+  const added = [];
+  const removed = [];
+  const changed = [];
+  afterAgents.forEach((agent, id) => {
+    const previous = beforeAgents.get(id);
+    if (!previous) {
+      added.push(label(agent));
+      return;
+    }
+    const fields = Array.from(new Set([...Object.keys(previous), ...Object.keys(agent)])).filter(
+      (key) => JSON.stringify(previous[key]) !== JSON.stringify(agent[key])
+    );
+    if (fields.length > 0) {
+      changed.push({
+        label: label(agent),
+        fields,
+        argsDiff: fields.includes("args")
+          ? diffTextLines(sanitizeStringArray(previous.args).join("\n"), sanitizeStringArray(agent.args).join("\n")).filter(
+              (entry) => entry.type !== "same"
+            )
+          : [],
+      });
+    }
+  });
+  beforeAgents.forEach((agent, id) => {
+    if (!afterAgents.has(id)) {
+      removed.push(label(agent));
+    }
+  });
+  const fromDefault = sanitizeString(before && before.defaultAgentId, "");
+  const toDefault = sanitizeString(after && after.defaultAgentId, "");
+  const fromNodePath = sanitizeString(before && before.nodePath, "");
+  const toNodePath = sanitizeString(after && after.nodePath, "");
+  const defaultAgent = fromDefault !== toDefault ? { from: fromDefault, to: toDefault } : null;
+  const nodePath = fromNodePath !== toNodePath ? { from: fromNodePath, to: toNodePath } : null;
+  return {
+    added,
+    removed,
+    changed,
+    defaultAgent,
+    nodePath,
+    hasChanges: added.length + removed.length + changed.length > 0 || Boolean(defaultAgent) || Boolean(nodePath),
+  };
+}
+
+function hashText(text) {
+  return crypto.createHash("sha1").update(String(text || "")).digest("hex");
+}
+
+function sameJson(a, b) {
+  return JSON.stringify(a) === JSON.stringify(b);
+}
+
+function mergeAgentClientSettings(base, ours, theirs) {
+  const merged = clone(theirs);
+  const conflicts = [];
+  const mergeValue = (label, baseValue, ourValue, theirValue, assign) => {
+    if (sameJson(ourValue, baseValue) || sameJson(ourValue, theirValue)) {
+      return;
+    }
+    if (sameJson(theirValue, baseValue)) {
+      assign(ourValue);
+      return;
+    }
+    conflicts.push({ label, ours: ourValue, theirs: theirValue, assign });
+  };
+
+  AGENT_CLIENT_OWNED_FIELDS.forEach((field) => {
+    const [head, tail] = field.split(".");
+    const read = (source) => (tail ? source && source[head] && source[head][tail] : source && source[head]);
+    mergeValue(field, read(base), read(ours), read(theirs), (value) => {
+      if (tail) {
+        merged[head] = isPlainObject(merged[head]) ? merged[head] : {};
+        merged[head][tail] = value;
+      } else {
+        merged[head] = value;
+      }
+    });
+  });
+
+  const ownedAgents = (source) => {
+    const agents = new Map();
+    (Array.isArray(source && source.customAgents) ? source.customAgents : []).forEach((agent) => {
+      const id = sanitizeString(agent && agent.id, "");
+      if (id.startsWith("local-gate-")) {
+        agents.set(id, agent);
+      }
+    });
+    return agents;
+  };
+  const baseAgents = ownedAgents(base);
+  const ourAgents = ownedAgents(ours);
+  const theirAgents = ownedAgents(theirs);
+  const mergedAgents = new Map(theirAgents);
+  const ids = Array.from(new Set([...ourAgents.keys(), ...theirAgents.keys(), ...baseAgents.keys()]));
+  const assignAgent = (id) => (value) => {
+    if (value === undefined) {
+      mergedAgents.delete(id);
+    } else {
+      mergedAgents.set(id, value);
+    }
+  };
+  ids.forEach((id) => {
+    const baseAgent = baseAgents.get(id);
+    const ourAgent = ourAgents.get(id);
+    const theirAgent = theirAgents.get(id);
+    if (baseAgent && ourAgent && theirAgent && !sameJson(ourAgent, baseAgent) && !sameJson(theirAgent, baseAgent)) {
+      const keys = Array.from(new Set([...Object.keys(baseAgent), ...Object.keys(ourAgent), ...Object.keys(theirAgent)]));
+      keys.forEach((key) => {
+        mergeValue(`${id}.${key}`, baseAgent[key], ourAgent[key], theirAgent[key], (value) => {
+          const current = { ...(mergedAgents.get(id) || theirAgent) };
+          if (value === undefined) {
+            delete current[key];
+          } else {
+            current[key] = value;
+          }
+          mergedAgents.set(id, current);
+        });
+      });
+      return;
+    }
+    mergeValue(id, baseAgent, ourAgent, theirAgent, assignAgent(id));
+  });
+
+  const finalize = () => {
+    const others = (Array.isArray(merged.customAgents) ? merged.customAgents : []).filter(
+      (agent) => !sanitizeString(agent && agent.id, "").startsWith("local-gate-")
+    );
+    const ordered = [
+      ...Array.from(ourAgents.keys()).filter((id) => mergedAgents.has(id)),
+      ...Array.from(mergedAgents.keys()).filter((id) => !ourAgents.has(id)),
+    ];
+    merged.customAgents = [...others, ...ordered.map((id) => mergedAgents.get(id))];
+    return merged;
+  };
+  return { conflicts, finalize };
+}
+
+function isCodexAcpCommand(command) {
+  const base = String(command || "")
+    .split(/[\\/]/)
+    .pop()
+    .replace(/\.(cmd|exe)$/i, "");
+  return base === "codex-acp";
+}
+
+function formatShellCommand(command, args) {
+  return [command, ...sanitizeStringArray(args)]
+    .map((part) => (/[\s"'$`\\]/.test(part) ? `'${String(part).replace(/'/g, "'\\''")}'` : part))
+    .join(" ");
+}
+
 function unquoteValue(value) {
   const text = sanitizeString(value, "");
   if (text.length >= 2) {
@@ -203,11 +648,26 @@ function deriveModelName(rawProfile) {
   return "";
 }
 
+function toTomlInlineTable(record) {
+  const entries = Object.entries(record || {}).map(([key, value]) => `${toTomlQuoted(key)} = ${toTomlQuoted(value)}`);
+  return `{ ${entries.join(", ")} }`;
+}
+
+function toHeaderEnvPrefix(provider) {
+  const base = (slugify(sanitizeString(provider, "")) || "local").toUpperCase().replace(/-/g, "_");
+  return `LOCAL_GATE_${base}_HEADER_`;
+}
+
+function toHeaderEnvName(provider, index) {
+  return `${toHeaderEnvPrefix(provider)}${index + 1}`;
+}
+
 function buildProviderCodexArgs(provider, endpoint, model, options = {}) {
-  const normalizedProvider = sanitizeString(provider, "");
+  const normalizedProvider = slugify(sanitizeString(provider, "")) || "local";
   const normalizedEndpoint = sanitizeString(endpoint, "");
-  const providerName = normalizedProvider === "lmstudio" ? "LM Studio" : "Ollama";
+  const providerName = sanitizeString(options && options.providerName, providerLabel(provider));
   const wireApi = sanitizeString(options && options.wireApi, "responses");
+  const envHeaders = options && isPlainObject(options.envHttpHeaders) ? options.envHttpHeaders : {};
   const args = [
     "-c",
     "features.remote_models=false",
@@ -221,25 +681,46 @@ function buildProviderCodexArgs(provider, endpoint, model, options = {}) {
   }
   args.push("-c", `model_providers.${normalizedProvider}.name=${toTomlQuoted(providerName)}`);
   args.push("-c", `model_providers.${normalizedProvider}.wire_api=${toTomlQuoted(wireApi)}`);
+  if (Object.keys(envHeaders).length > 0) {
+    args.push("-c", `model_providers.${normalizedProvider}.env_http_headers=${toTomlInlineTable(envHeaders)}`);
+  }
   const normalizedModel = sanitizeString(model, "");
   if (normalizedModel.length > 0) {
     args.push("-c", `model=${toTomlQuoted(normalizedModel)}`);
   }
+  const generation = options && isPlainObject(options.generation) ? options.generation : {};
+  if (generation.numCtx != null) {
+    args.push("-c", `model_context_window=${generation.numCtx}`);
+  }
+  if (generation.maxTokens != null) {
+    args.push("-c", `model_max_output_tokens=${generation.maxTokens}`);
+  }
   return args;
 }
 
-function providerLabel(provider) {
+function providerLabel(provider, settings = null) {
+  const custom = findCustomEndpoint(settings, provider);
+  if (custom) {
+    return custom.label;
+  }
+  const host = findOllamaHost(settings, provider);
+  if (host) {
+    return `Ollama (${host.label})`;
+  }
   if (provider === "ollama") {
     return "Ollama";
   }
   if (provider === "lmstudio") {
     return "LM Studio";
   }
+  if (provider === "llamacpp") {
+    return "llama.cpp";
+  }
   return "Local";
 }
 
-function providerAgentDisplayName(provider) {
-  return `Local ${providerLabel(provider)}`;
+function providerAgentDisplayName(provider, settings = null) {
+  return `Local ${providerLabel(provider, settings)}`;
 }
 
 function formatCapabilities(capabilities) {
@@ -290,15 +771,139 @@ function normalizeCapabilities(capabilities) {
   return sanitizeStringArray(capabilities).map((item) => item.toLowerCase());
 }
 
+function globToRegExp(glob) {
+  const source = sanitizeString(glob, "*")
+    .split("")
+    .map((char) => {
+      if (char === "*") {
+        return ".*";
+      }
+      if (char === "?") {
+        return ".";
+      }
+      return char.replace(/[.+^${}()|[\]\\]/g, "\\$&");
+    })
+    .join("");
+  return new RegExp(`^${source}$`, "i");
+}
+
+function sanitizeCompatibilityRule(rawRule, index) {
+  const verdict = sanitizeString(rawRule && rawRule.verdict, "block");
+  const toContext = (value) => {
+    const numeric = Number(value);
+    return Number.isFinite(numeric) && numeric > 0 ? Math.round(numeric) : 0;
+  };
+  const name = sanitizeString(rawRule && rawRule.name, `Rule ${index + 1}`);
+  return {
+    id: slugify(sanitizeString(rawRule && rawRule.id, name)) || `rule-${index + 1}`,
+    name,
+    enabled: !(rawRule && rawRule.enabled === false),
+    provider: sanitizeString(rawRule && rawRule.provider, ""),
+    modelGlob: sanitizeString(rawRule && rawRule.modelGlob, "*"),
+    hasCapabilities: normalizeCapabilities(rawRule && rawRule.hasCapabilities),
+    lacksCapabilities: normalizeCapabilities(rawRule && rawRule.lacksCapabilities),
+    contextBelow: toContext(rawRule && rawRule.contextBelow),
+    contextAtLeast: toContext(rawRule && rawRule.contextAtLeast),
+    verdict: RULE_VERDICTS.includes(verdict) ? verdict : "block",
+    reason: sanitizeString(rawRule && rawRule.reason, `${verdict === "allow" ? "allowed" : "blocked"} by rule ${name}`),
+  };
+}
+
+function normalizeCompatibilityRules(rawRules) {
+  if (!Array.isArray(rawRules)) {
+    return [];
+  }
+  const seen = new Set();
+  const result = [];
+  rawRules.forEach((entry, index) => {
+    const item = sanitizeCompatibilityRule(entry, index);
+    if (seen.has(item.id)) {
+      return;
+    }
+    seen.add(item.id);
+    result.push(item);
+  });
+  return result;
+}
+
+function sanitizeAgentClientOriginals(rawOriginals) {
+  if (!isPlainObject(rawOriginals)) {
+    return null;
+  }
+  return {
+    trusted: rawOriginals.trusted === true,
+    codexCommand: sanitizeString(rawOriginals.codexCommand, ""),
+    codexArgs: sanitizeStringArray(rawOriginals.codexArgs),
+    nodePath: sanitizeString(rawOriginals.nodePath, ""),
+    recordedAt: sanitizeString(rawOriginals.recordedAt, ""),
+  };
+}
+
+function normalizeFolderProfileMappings(rawMappings) {
+  if (!Array.isArray(rawMappings)) {
+    return [];
+  }
+  return rawMappings
+    .filter((entry) => isPlainObject(entry))
+    .map((entry) => ({
+      folder: sanitizeString(entry.folder, "").replace(/^\/+|\/+$/g, ""),
+      profileId: sanitizeString(entry.profileId, ""),
+    }));
+}
+
+function matchCompatibilityRule(rule, provider, modelName, capabilities, contextLength) {
+  if (!rule || !rule.enabled) {
+    return false;
+  }
+  if (rule.provider && rule.provider !== provider && rule.provider !== providerKind(provider)) {
+    return false;
+  }
+  if (!globToRegExp(rule.modelGlob).test(sanitizeString(modelName, ""))) {
+    return false;
+  }
+  const caps = normalizeCapabilities(capabilities);
+  if (rule.hasCapabilities.some((cap) => !caps.includes(cap))) {
+    return false;
+  }
+  if (rule.lacksCapabilities.some((cap) => caps.includes(cap))) {
+    return false;
+  }
+  const context = Number(contextLength) || 0;
+  if (rule.contextBelow > 0 && !(context > 0 && context < rule.contextBelow)) {
+    return false;
+  }
+  if (rule.contextAtLeast > 0 && !(context >= rule.contextAtLeast)) {
+    return false;
+  }
+  return true;
+}
+
 function evaluateModelCompatibility(provider, modelName, capabilities, options = {}) {
+  const modelKey = `${provider}:${modelName}`;
+  const contextLength = options && options.contextLengths ? options.contextLengths[modelKey] : "";
+  const overrideCaps = options && options.capabilityOverrides ? options.capabilityOverrides[modelKey] : null;
+  const effectiveCaps = overrideCaps || capabilities;
+  const rules = options && Array.isArray(options.rules) ? options.rules : [];
+  const rule = rules.find((entry) => matchCompatibilityRule(entry, provider, modelName, effectiveCaps, contextLength));
+  if (rule) {
+    return { compatible: rule.verdict === "allow", reason: rule.reason, rule: rule.name };
+  }
+  return { ...evaluateBuiltinCompatibility(provider, modelName, effectiveCaps, options), rule: "" };
+}
+
+function evaluateBuiltinCompatibility(provider, modelName, capabilities, options = {}) {
   const caps = normalizeCapabilities(capabilities);
   const loweredName = String(modelName || "").toLowerCase();
   const allowNonTools = options && options.allowNonToolsChatModels === true;
+  const probe = options && options.probes ? options.probes[`${provider}:${modelName}`] : null;
 
   if (caps.includes("embedding") && !caps.includes("completion")) {
     return { compatible: false, reason: "embedding-only model (no chat)" };
   }
-  if (provider === "ollama") {
+  if (probe && probe.tools === false && caps.includes("tools")) {
+    return { compatible: false, reason: "probe: advertises tools but emitted no valid tool call" };
+  }
+  if (providerKind(provider) === "ollama") {
     if (!caps.includes("completion")) {
       return { compatible: false, reason: "no completion capability" };
     }
@@ -315,6 +920,35 @@ function evaluateModelCompatibility(provider, modelName, capabilities, options =
     if (loweredName.includes("embed")) {
       return { compatible: false, reason: "embedding model likely no chat" };
     }
+    if (!caps.includes("completion")) {
+      return { compatible: false, reason: "no completion capability" };
+    }
+    if (caps.includes("vision")) {
+      return { compatible: true, reason: "vision-language model (chat_completions recommended)" };
+    }
+    if (caps.includes("tools")) {
+      return { compatible: true, reason: "ok" };
+    }
+    return { compatible: true, reason: "assumed compatible (OpenAI endpoint)" };
+  }
+
+  if (provider === "llamacpp") {
+    if (loweredName.includes("embed") || loweredName.includes("rerank")) {
+      return { compatible: false, reason: "embedding model likely no chat" };
+    }
+    if (!caps.includes("completion")) {
+      return { compatible: false, reason: "no completion capability" };
+    }
+    if (!caps.includes("tools")) {
+      return { compatible: true, reason: "tools unverified (start llama-server with --jinja)" };
+    }
+    return { compatible: true, reason: "ok" };
+  }
+
+  if (providerKind(provider) === "custom") {
+    if (loweredName.includes("embed") || loweredName.includes("rerank")) {
+      return { compatible: false, reason: "embedding model likely no chat" };
+    }
     return { compatible: true, reason: "assumed compatible (OpenAI endpoint)" };
   }
 
@@ -334,7 +968,7 @@ function inferModelCapabilities(provider, modelName, currentCapabilities) {
     return ["embedding"];
   }
   const inferred = [];
-  if (provider === "ollama" || provider === "lmstudio") {
+  if (SUPPORTED_PROVIDERS.includes(providerKind(provider)) || providerKind(provider) === "custom") {
     inferred.push("completion");
   }
   if (/(vision|llava|pixtral|qwen2\.5[-:]?vl|minicpm-v|moondream)/i.test(lowered)) {
@@ -343,6 +977,36 @@ function inferModelCapabilities(provider, modelName, currentCapabilities) {
   return [...new Set(inferred)];
 }
 
+function parseLmStudioNativeModel(entry) {
+  const modelId = sanitizeString(entry && entry.id, "");
+  if (!modelId) {
+    return null;
+  }
+  const type = sanitizeString(entry.type, "").toLowerCase();
+  const capabilities = [];
+  if (type === "embeddings") {
+    capabilities.push("embedding");
+  } else {
+    capabilities.push("completion");
+  }
+  if (type === "vlm") {
+    capabilities.push("vision");
+  }
+  const advertised = sanitizeStringArray(entry.capabilities).map((item) => item.toLowerCase());
+  if (advertised.includes("tool_use") || advertised.includes("tools")) {
+    capabilities.push("tools");
+  }
+  const maxContext = Number(entry.max_context_length);
+  return {
+    model: modelId,
+    capabilities: type ? capabilities : inferModelCapabilities("lmstudio", modelId, []),
+    contextLength: Number.isFinite(maxContext) && maxContext > 0 ? String(maxContext) : "",
+    loadState: sanitizeString(entry.state, ""),
+    quantization: sanitizeString(entry.quantization, ""),
+    architecture: sanitizeString(entry.arch, ""),
+  };
+}
+
 function buildExecPathEnv() {
   const existing = sanitizeString(process.env.PATH, "");
   const parts = existing.length > 0 ? existing.split(":") : [];
@@ -358,27 +1022,122 @@ function pathExists(filePath) {
   }
 }
 
-function runCommand(command, args, timeoutMs = 8000, extraEnv = {}) {
-  return new Promise((resolve, reject) => {
-    execFile(
-      command,
-      args,
+function streamJsonLines(url, payload, onEvent, extraHeaders = {}) {
+  let request = null;
+  let cancelled = false;
+  const done = new Promise((resolve, reject) => {
+    let parsed;
+    try {
+      parsed = new URL(url);
+    } catch (error) {
+      reject(error);
+      return;
+    }
+    const transport = parsed.protocol === "https:" ? https : http;
+    const body = JSON.stringify(payload || {});
+    request = transport.request(
+      parsed,
       {
-        timeout: timeoutMs,
-        maxBuffer: 4 * 1024 * 1024,
-        env: {
-          ...process.env,
-          ...extraEnv,
-          PATH: buildExecPathEnv(),
+        method: "POST",
+        headers: {
+          ...extraHeaders,
+          "Content-Type": "application/json",
+          "Content-Length": Buffer.byteLength(body),
         },
       },
-      (error, stdout, stderr) => {
-        if (error) {
-          const message = sanitizeString(stderr, error.message || "Command failed");
-          reject(new Error(message));
+      (response) => {
+        if (response.statusCode >= 400) {
+          response.resume();
+          reject(new Error(`HTTP ${response.statusCode} at ${url}`));
           return;
         }
-        resolve(stdout || "");
+        let buffer = "";
+        const flush = (line) => {
+          const trimmed = line.trim().replace(/^data:\s*/, "");
+          if (!trimmed || trimmed === "[DONE]") {
+            return;
+          }
+          try {
+            onEvent(JSON.parse(trimmed));
+          } catch (_error) {
+          }
+        };
+        response.setEncoding("utf8");
+        response.on("data", (chunk) => {
+          buffer += chunk;
+          const lines = buffer.split(/\r?\n/);
+          buffer = lines.pop();
+          lines.forEach(flush);
+        });
+        response.on("end", () => {
+          flush(buffer);
+          resolve();
+        });
+        response.on("error", (error) => {
+          reject(cancelled ? new Error("cancelled") : error);
+        });
+      }
+    );
+    request.on("error", (error) => {
+      reject(cancelled ? new Error("cancelled") : error);
+    });
+    request.write(body);
+    request.end();
+  });
+  return {
+    done,
+    cancel: () => {
+      cancelled = true;
+      if (request) {
+        request.destroy();
+      }
+    },
+  };
+}
+
+async function mapWithConcurrency(items, limit, worker) {
+  const results = new Array(items.length);
+  let nextIndex = 0;
+  const runners = Array.from({ length: Math.max(1, Math.min(limit, items.length)) }, async () => {
+    while (nextIndex < items.length) {
+      const index = nextIndex;
+      nextIndex += 1;
+      results[index] = await worker(items[index], index);
+    }
+  });
+  await Promise.all(runners);
+  return results;
+}
+
+function withTimeout(promise, timeoutMs, label) {
+  let timer = null;
+  const timeout = new Promise((_resolve, reject) => {
+    timer = setTimeout(() => reject(new Error(`${label} timed out`)), timeoutMs);
+  });
+  return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+}
+
+function runCommand(command, args, timeoutMs = 8000, extraEnv = {}) {
+  return new Promise((resolve, reject) => {
+    execFile(
+      command,
+      args,
+      {
+        timeout: timeoutMs,
+        maxBuffer: 4 * 1024 * 1024,
+        env: {
+          ...process.env,
+          ...extraEnv,
+          PATH: buildExecPathEnv(),
+        },
+      },
+      (error, stdout, stderr) => {
+        if (error) {
+          const message = sanitizeString(stderr, error.message || "Command failed");
+          reject(new Error(message));
+          return;
+        }
+        resolve(stdout || "");
       }
     );
   });
@@ -499,6 +1258,25 @@ function parseOllamaShow(showOutput) {
   return { capabilities: Array.from(capabilities), contextLength };
 }
 
+function parseLlamaCppProps(payload) {
+  const props = payload && typeof payload === "object" ? payload : {};
+  const generation =
+    props.default_generation_settings && typeof props.default_generation_settings === "object"
+      ? props.default_generation_settings
+      : {};
+  const rawContext = generation.n_ctx != null ? generation.n_ctx : props.n_ctx;
+  const contextLength = rawContext != null && Number(rawContext) > 0 ? String(rawContext) : "";
+  const capabilities = ["completion"];
+  const template = typeof props.chat_template === "string" ? props.chat_template : "";
+  if (/\btools?\b/.test(template)) {
+    capabilities.push("tools");
+  }
+  if (props.modalities && props.modalities.vision === true) {
+    capabilities.push("vision");
+  }
+  return { capabilities, contextLength };
+}
+
 function defaultProfiles() {
   return [
     {
@@ -528,9 +1306,25 @@ function defaultProfiles() {
   ];
 }
 
+function defaultAgentClientSettings() {
+  return {
+    codex: {
+      id: "codex-acp",
+      displayName: "Codex",
+      apiKey: "",
+      command: "codex-acp",
+      args: [],
+      env: [],
+    },
+    customAgents: [],
+    defaultAgentId: "codex-acp",
+  };
+}
+
 function defaultSettings() {
   const profiles = defaultProfiles();
   return {
+    schemaVersion: SETTINGS_SCHEMA_VERSION,
     agentClientSettingsPath: ".obsidian/plugins/agent-client/data.json",
     codexAcpCommand: "codex-acp",
     ollamaCommand: "ollama",
@@ -541,14 +1335,31 @@ function defaultSettings() {
     scanOnStartup: true,
     enableOllamaScan: true,
     enableLmStudioScan: true,
+    enableLlamaCppScan: false,
     ollamaBaseUrl: OLLAMA_DEFAULT_BASE_URL,
     lmStudioBaseUrl: LMSTUDIO_DEFAULT_BASE_URL,
+    llamaCppBaseUrl: LLAMACPP_DEFAULT_BASE_URL,
+    ollamaHosts: [],
+    customEndpoints: [],
     publishProfilesToAgentClient: true,
     autoCreateProfilesFromDiscovery: true,
     autoSyncToAgentClientAfterScan: true,
     allowNonToolsChatModels: false,
     showBlockedDiscoveredModels: false,
     showHiddenDiscoveredModels: false,
+    discoveredModelSort: "default",
+    ollamaShowCache: {},
+    enableHealthMonitor: false,
+    healthCheckIntervalSec: 30,
+    notifyScanChanges: true,
+    autoStartOllama: false,
+    compatibilityRules: [],
+    modelOverrides: {},
+    autoSwitchProfileByNote: true,
+    folderProfileMappings: [],
+    scanHistory: [],
+    orphanedProfileIds: [],
+    agentClientOriginals: null,
     hiddenDiscoveredModelKeys: [],
     contextPackTopK: 8,
     contextPackMaxItems: 240,
@@ -557,6 +1368,7 @@ function defaultSettings() {
     contextPackAutoPreviewFromQuery: false,
     contextPackForceToollessSend: true,
     suppressThinkingSignals: true,
+    logInjectedSystemPrompt: false,
     uiLanguage: "ko",
     preferChatCompletionsForVision: true,
     contextPacks: [],
@@ -567,6 +1379,97 @@ function defaultSettings() {
   };
 }
 
+const SETTINGS_MIGRATIONS = [
+  {
+    version: 1,
+    description: "assign providers to legacy local profiles and drop retired LM Studio placeholders",
+    migrate(data) {
+      if (!Array.isArray(data.profiles)) {
+        return data;
+      }
+      data.profiles = data.profiles
+        .filter((profile) => isPlainObject(profile))
+        .filter((profile) => !(profile.id === "lmstudio-default" || profile.id === "lmstudio-local-model"))
+        .map((profile) => {
+          const provider = sanitizeString(profile.provider, "local");
+          if (provider !== "local") {
+            return profile;
+          }
+          return {
+            ...profile,
+            provider: String(profile.name || "").toLowerCase().includes("lm studio") ? "lmstudio" : "ollama",
+          };
+        });
+      return data;
+    },
+  },
+  {
+    version: 2,
+    description: "remove fields that are not part of the v2 settings schema",
+    migrate(data) {
+      const known = new Set([
+        "schemaVersion",
+        "agentClientSettingsPath",
+        "codexAcpCommand",
+        "ollamaCommand",
+        "profiles",
+        "lastProfileId",
+        "activeProfileByProvider",
+        "discoveredModels",
+        "scanOnStartup",
+        "enableOllamaScan",
+        "enableLmStudioScan",
+        "enableLlamaCppScan",
+        "ollamaBaseUrl",
+        "lmStudioBaseUrl",
+        "llamaCppBaseUrl",
+        "ollamaHosts",
+        "customEndpoints",
+        "publishProfilesToAgentClient",
+        "autoCreateProfilesFromDiscovery",
+        "autoSyncToAgentClientAfterScan",
+        "allowNonToolsChatModels",
+        "showBlockedDiscoveredModels",
+        "showHiddenDiscoveredModels",
+        "discoveredModelSort",
+        "ollamaShowCache",
+        "enableHealthMonitor",
+        "healthCheckIntervalSec",
+        "notifyScanChanges",
+        "autoStartOllama",
+        "compatibilityRules",
+        "modelOverrides",
+        "autoSwitchProfileByNote",
+        "folderProfileMappings",
+        "scanHistory",
+        "orphanedProfileIds",
+        "hiddenDiscoveredModelKeys",
+        "contextPackTopK",
+        "contextPackMaxItems",
+        "contextPackInjectInline",
+        "contextPackIncludePreviews",
+        "contextPackAutoPreviewFromQuery",
+        "contextPackForceToollessSend",
+        "suppressThinkingSignals",
+        "logInjectedSystemPrompt",
+        "uiLanguage",
+        "preferChatCompletionsForVision",
+        "contextPacks",
+        "lastScanAt",
+        "lastScanSummary",
+        "lastScanErrors",
+        "lastScanDiagnostics",
+      ]);
+      Object.keys(data).forEach((key) => {
+        if (!known.has(key)) {
+          delete data[key];
+        }
+      });
+      return data;
+    },
+  },
+];
+
 function sanitizeProfile(rawProfile, index, options = {}) {
   const fallbackId = `profile-${index + 1}`;
   const id = sanitizeString(rawProfile && rawProfile.id, fallbackId);
@@ -577,8 +1480,14 @@ function sanitizeProfile(rawProfile, index, options = {}) {
   const capabilities = sanitizeStringArray(rawProfile && rawProfile.capabilities);
   const command = sanitizeString(rawProfile && rawProfile.command, "codex-acp");
   const args = sanitizeStringArray(rawProfile && rawProfile.args);
+  const extraArgs = sanitizeStringArray(rawProfile && rawProfile.extraArgs);
   const env = sanitizeStringArray(rawProfile && rawProfile.env);
   const setAsDefaultAgent = rawProfile && rawProfile.setAsDefaultAgent !== false;
+  const generation = sanitizeGenerationParams(rawProfile && rawProfile.generation);
+  const systemPrompt = sanitizeString(rawProfile && rawProfile.systemPrompt, "");
+  const systemPromptNote = sanitizeString(rawProfile && rawProfile.systemPromptNote, "");
+  const publishAsAgent = rawProfile && rawProfile.publishAsAgent === true;
+  const agentDisplayName = sanitizeString(rawProfile && rawProfile.agentDisplayName, "");
   const compat = evaluateModelCompatibility(provider, model || name, capabilities, options);
 
   return {
@@ -590,10 +1499,17 @@ function sanitizeProfile(rawProfile, index, options = {}) {
     capabilities,
     compatible: compat.compatible,
     compatibilityReason: compat.reason,
+    compatibilityRule: compat.rule,
     command,
     args,
+    extraArgs,
     env,
     setAsDefaultAgent,
+    generation,
+    systemPrompt,
+    systemPromptNote,
+    publishAsAgent,
+    agentDisplayName,
   };
 }
 
@@ -615,26 +1531,318 @@ function normalizeProfiles(rawProfiles, options = {}) {
   return result.length > 0 ? result : defaults;
 }
 
+function sanitizeProbeResult(rawProbe) {
+  if (!isPlainObject(rawProbe)) {
+    return null;
+  }
+  const detail = sanitizeString(rawProbe.detail, "");
+  const toResult = (label) => {
+    const value = rawProbe[label];
+    if (value === true) {
+      return true;
+    }
+    return value === false && !detail.split(" | ").some((entry) => entry.startsWith(`${label}:`)) ? false : null;
+  };
+  return {
+    checkedAt: sanitizeString(rawProbe.checkedAt, ""),
+    chat: toResult("chat"),
+    tools: toResult("tools"),
+    vision: toResult("vision"),
+    detail,
+  };
+}
+
+function probeMessageText(message) {
+  return [message.content, message.reasoning_content, message.reasoning]
+    .map((value) => sanitizeString(value, ""))
+    .join("\n")
+    .trim();
+}
+
+function verifiedProbeCapabilities(probe) {
+  if (!probe) {
+    return [];
+  }
+  return [probe.chat ? "completion" : "", probe.tools ? "tools" : "", probe.vision ? "vision" : ""].filter(Boolean);
+}
+
+function applyProbeResult(model, probe) {
+  const safeProbe = sanitizeProbeResult(probe);
+  if (!safeProbe) {
+    return model;
+  }
+  return {
+    ...model,
+    capabilities: [...new Set([...sanitizeStringArray(model.capabilities), ...verifiedProbeCapabilities(safeProbe)])],
+    discoverySource: "probe",
+    probe: safeProbe,
+  };
+}
+
+function sanitizeBenchmarkResult(rawBenchmark) {
+  if (!isPlainObject(rawBenchmark)) {
+    return null;
+  }
+  const toMetric = (value) => {
+    const numeric = Number(value);
+    return Number.isFinite(numeric) && numeric >= 0 ? numeric : null;
+  };
+  return {
+    checkedAt: sanitizeString(rawBenchmark.checkedAt, ""),
+    ttftMs: toMetric(rawBenchmark.ttftMs),
+    tokensPerSec: toMetric(rawBenchmark.tokensPerSec),
+    loadMs: toMetric(rawBenchmark.loadMs),
+    outputTokens: toMetric(rawBenchmark.outputTokens),
+  };
+}
+
+function formatBenchmarkResult(benchmark) {
+  const parts = [];
+  if (benchmark.tokensPerSec != null) {
+    parts.push(`${benchmark.tokensPerSec.toFixed(1)} tok/s`);
+  }
+  if (benchmark.ttftMs != null) {
+    parts.push(`TTFT ${Math.round(benchmark.ttftMs)} ms`);
+  }
+  if (benchmark.loadMs != null) {
+    parts.push(`load ${(benchmark.loadMs / 1000).toFixed(1)} s`);
+  }
+  return parts.length > 0 ? `⚡ ${parts.join(" · ")}` : "⚡ -";
+}
+
+function sortDiscoveredModels(models, sortMode) {
+  if (sortMode === "speed") {
+    const speed = (model) => (model.benchmark && model.benchmark.tokensPerSec != null ? model.benchmark.tokensPerSec : -1);
+    return [...models].sort((a, b) => speed(b) - speed(a));
+  }
+  if (sortMode === "ttft") {
+    const ttft = (model) =>
+      model.benchmark && model.benchmark.ttftMs != null ? model.benchmark.ttftMs : Number.POSITIVE_INFINITY;
+    return [...models].sort((a, b) => ttft(a) - ttft(b));
+  }
+  return models;
+}
+
+function sanitizeGenerationNumber(value, min, max, integer) {
+  if (value === "" || value == null) {
+    return null;
+  }
+  const parsed = Number(value);
+  if (!Number.isFinite(parsed) || parsed < min || parsed > max) {
+    return null;
+  }
+  return integer ? Math.round(parsed) : parsed;
+}
+
+function sanitizeGenerationParams(rawParams) {
+  const source = isPlainObject(rawParams) ? rawParams : {};
+  return {
+    temperature: sanitizeGenerationNumber(source.temperature, 0, 2, false),
+    topP: sanitizeGenerationNumber(source.topP, 0, 1, false),
+    numCtx: sanitizeGenerationNumber(source.numCtx, 1, 10000000, true),
+    maxTokens: sanitizeGenerationNumber(source.maxTokens, 1, 10000000, true),
+  };
+}
+
+function hasGenerationParams(generation) {
+  return isPlainObject(generation) && Object.values(generation).some((value) => value != null);
+}
+
+function formatGenerationParams(generation) {
+  if (!hasGenerationParams(generation)) {
+    return "";
+  }
+  const parts = [];
+  if (generation.temperature != null) {
+    parts.push(`temp ${generation.temperature}`);
+  }
+  if (generation.topP != null) {
+    parts.push(`top_p ${generation.topP}`);
+  }
+  if (generation.numCtx != null) {
+    parts.push(`num_ctx ${generation.numCtx}`);
+  }
+  if (generation.maxTokens != null) {
+    parts.push(`max ${generation.maxTokens}`);
+  }
+  return parts.join(", ");
+}
+
+function sanitizeModelOverride(rawOverride) {
+  if (!isPlainObject(rawOverride)) {
+    return null;
+  }
+  const wireApi = sanitizeString(rawOverride.wireApi, "");
+  const override = {
+    capabilities: normalizeCapabilities(rawOverride.capabilities),
+    contextLength: sanitizeString(rawOverride.contextLength, ""),
+    wireApi: WIRE_API_OPTIONS.includes(wireApi) ? wireApi : "",
+  };
+  if (override.capabilities.length === 0 && !override.contextLength && !override.wireApi) {
+    return null;
+  }
+  return override;
+}
+
+function normalizeModelOverrides(rawOverrides) {
+  if (!isPlainObject(rawOverrides)) {
+    return {};
+  }
+  const result = {};
+  Object.entries(rawOverrides).forEach(([key, entry]) => {
+    const override = sanitizeModelOverride(entry);
+    if (key && override) {
+      result[key] = override;
+    }
+  });
+  return result;
+}
+
+function sanitizeDetectedDetails(rawDetected) {
+  if (!isPlainObject(rawDetected)) {
+    return null;
+  }
+  return {
+    capabilities: sanitizeStringArray(rawDetected.capabilities),
+    contextLength: sanitizeString(rawDetected.contextLength, ""),
+    discoverySource: sanitizeString(rawDetected.discoverySource, "unknown"),
+  };
+}
+
+function applyModelOverride(model, override) {
+  if (!override) {
+    return model;
+  }
+  return {
+    ...model,
+    capabilities: override.capabilities.length > 0 ? override.capabilities : model.capabilities,
+    contextLength: override.contextLength || model.contextLength,
+    discoverySource: "manual",
+    detected: sanitizeDetectedDetails(model.detected) || {
+      capabilities: sanitizeStringArray(model.capabilities),
+      contextLength: sanitizeString(model.contextLength, ""),
+      discoverySource: sanitizeString(model.discoverySource, "unknown"),
+    },
+  };
+}
+
+function clearModelOverride(model) {
+  const detected = sanitizeDetectedDetails(model.detected);
+  if (!detected) {
+    return model;
+  }
+  return { ...model, ...detected, detected: null };
+}
+
+function formatProbeResult(probe) {
+  const mark = (value) => (value === true ? "ok" : value === false ? "fail" : "unverified");
+  return `chat ${mark(probe.chat)}, tools ${mark(probe.tools)}, vision ${mark(probe.vision)}`;
+}
+
 function sanitizeDiscoveredModel(rawModel, index, options = {}) {
   const fallbackKey = `model-${index + 1}`;
+  const key = sanitizeString(rawModel && rawModel.key, fallbackKey);
   const provider = sanitizeString(rawModel && rawModel.provider, "local");
   const model = sanitizeString(rawModel && rawModel.model, "unknown");
   const capabilities = sanitizeStringArray(rawModel && rawModel.capabilities);
-  const compat = evaluateModelCompatibility(provider, model, capabilities, options);
+  const probe = sanitizeProbeResult(rawModel && rawModel.probe);
+  const contextLength = sanitizeString(rawModel && rawModel.contextLength, "");
+  const compat = evaluateModelCompatibility(provider, model, capabilities, {
+    ...options,
+    probes: probe ? { ...(options.probes || {}), [`${provider}:${model}`]: probe } : options.probes,
+    contextLengths: { ...(options.contextLengths || {}), [`${provider}:${model}`]: contextLength },
+  });
   return {
-    key: sanitizeString(rawModel && rawModel.key, fallbackKey),
+    key,
     provider,
     model,
     endpoint: sanitizeString(rawModel && rawModel.endpoint, ""),
     capabilities,
     compatible: compat.compatible,
     compatibilityReason: compat.reason,
-    contextLength: sanitizeString(rawModel && rawModel.contextLength, ""),
+    compatibilityRule: compat.rule,
+    contextLength,
     discoverySource: sanitizeString(rawModel && rawModel.discoverySource, "unknown"),
     detectionState: sanitizeString(rawModel && rawModel.detectionState, "detected"),
+    loadState: sanitizeString(rawModel && rawModel.loadState, ""),
+    quantization: sanitizeString(rawModel && rawModel.quantization, ""),
+    architecture: sanitizeString(rawModel && rawModel.architecture, ""),
+    probe,
+    benchmark: sanitizeBenchmarkResult(rawModel && rawModel.benchmark),
+    detected: sanitizeDetectedDetails(rawModel && rawModel.detected),
+  };
+}
+
+function diffDiscoveredModels(previousModels, nextModels, ignoredProviders = new Set()) {
+  const previousByKey = new Map(previousModels.map((model) => [model.key, model]));
+  const nextByKey = new Map(nextModels.map((model) => [model.key, model]));
+  const added = nextModels.filter((model) => !previousByKey.has(model.key));
+  const removed = previousModels.filter((model) => !nextByKey.has(model.key) && !ignoredProviders.has(model.provider));
+  const changed = [];
+  nextModels.forEach((model) => {
+    const previous = previousByKey.get(model.key);
+    if (!previous) {
+      return;
+    }
+    const changes = [];
+    const beforeCaps = formatCapabilities(previous.capabilities);
+    const afterCaps = formatCapabilities(model.capabilities);
+    if (beforeCaps !== afterCaps) {
+      changes.push(`capabilities ${beforeCaps} -> ${afterCaps}`);
+    }
+    if (sanitizeString(previous.contextLength, "") !== sanitizeString(model.contextLength, "")) {
+      changes.push(`context ${previous.contextLength || "-"} -> ${model.contextLength || "-"}`);
+    }
+    if (previous.compatible !== model.compatible) {
+      changes.push(model.compatible ? "now ready" : `now blocked (${model.compatibilityReason})`);
+    }
+    if (changes.length > 0) {
+      changed.push({ model, changes });
+    }
+  });
+  return { added, removed, changed };
+}
+
+function sanitizeScanHistoryEntry(rawEntry) {
+  return {
+    at: sanitizeString(rawEntry && rawEntry.at, ""),
+    added: sanitizeStringArray(rawEntry && rawEntry.added),
+    removed: sanitizeStringArray(rawEntry && rawEntry.removed),
+    changed: sanitizeStringArray(rawEntry && rawEntry.changed),
   };
 }
 
+function normalizeScanHistory(rawHistory) {
+  if (!Array.isArray(rawHistory)) {
+    return [];
+  }
+  return rawHistory
+    .map((entry) => sanitizeScanHistoryEntry(entry))
+    .filter((entry) => entry.at && entry.added.length + entry.removed.length + entry.changed.length > 0)
+    .slice(0, SCAN_HISTORY_LIMIT);
+}
+
+function normalizeOllamaShowCache(rawCache) {
+  if (!isPlainObject(rawCache)) {
+    return {};
+  }
+  const result = {};
+  Object.entries(rawCache).forEach(([key, entry]) => {
+    const digest = sanitizeString(entry && entry.digest, "");
+    if (!key || !digest) {
+      return;
+    }
+    result[key] = {
+      provider: sanitizeString(entry.provider, "ollama"),
+      digest,
+      capabilities: sanitizeStringArray(entry.capabilities),
+      contextLength: sanitizeString(entry.contextLength, ""),
+      discoverySource: sanitizeString(entry.discoverySource, "unknown"),
+    };
+  });
+  return result;
+}
+
 function normalizeDiscoveredModels(rawModels, options = {}) {
   if (!Array.isArray(rawModels)) {
     return [];
@@ -652,6 +1860,104 @@ function normalizeDiscoveredModels(rawModels, options = {}) {
   return result;
 }
 
+function sanitizeHeaderRecord(rawHeaders) {
+  if (!isPlainObject(rawHeaders)) {
+    return {};
+  }
+  const out = {};
+  Object.entries(rawHeaders).forEach(([name, value]) => {
+    const safeName = sanitizeString(name, "");
+    const safeValue = sanitizeString(value, "");
+    if (safeName && safeValue) {
+      out[safeName] = safeValue;
+    }
+  });
+  return out;
+}
+
+function parseHeaderLines(rawText) {
+  const out = {};
+  String(rawText || "")
+    .split(/\r?\n/)
+    .forEach((line) => {
+      const separator = line.indexOf(":");
+      if (separator <= 0) {
+        return;
+      }
+      const name = sanitizeString(line.slice(0, separator), "");
+      const value = sanitizeString(line.slice(separator + 1), "");
+      if (name && value) {
+        out[name] = value;
+      }
+    });
+  return out;
+}
+
+function formatHeaderLines(headers) {
+  return Object.entries(sanitizeHeaderRecord(headers))
+    .map(([name, value]) => `${name}: ${value}`)
+    .join("\n");
+}
+
+function sanitizeOllamaHost(rawHost, index) {
+  const label = sanitizeString(rawHost && rawHost.label, `Host ${index + 1}`);
+  const rawBaseUrl = sanitizeString(rawHost && rawHost.baseUrl, "");
+  return {
+    id: slugify(sanitizeString(rawHost && rawHost.id, label)) || `host-${index + 1}`,
+    label,
+    baseUrl: rawBaseUrl ? normalizeOllamaBaseUrl(rawBaseUrl) : "",
+    enabled: !(rawHost && rawHost.enabled === false),
+  };
+}
+
+function normalizeOllamaHosts(rawHosts) {
+  if (!Array.isArray(rawHosts)) {
+    return [];
+  }
+  const seen = new Set();
+  const result = [];
+  rawHosts.forEach((entry, index) => {
+    const item = sanitizeOllamaHost(entry, index);
+    if (!item.baseUrl || seen.has(item.id)) {
+      return;
+    }
+    seen.add(item.id);
+    result.push(item);
+  });
+  return result;
+}
+
+function sanitizeCustomEndpoint(rawEndpoint, index) {
+  const label = sanitizeString(rawEndpoint && rawEndpoint.label, `Custom ${index + 1}`);
+  const id = slugify(sanitizeString(rawEndpoint && rawEndpoint.id, label)) || `custom-${index + 1}`;
+  const wireApi = sanitizeString(rawEndpoint && rawEndpoint.wireApi, "chat_completions");
+  return {
+    id,
+    label,
+    baseUrl: normalizeCustomEndpointBaseUrl(rawEndpoint && rawEndpoint.baseUrl),
+    headers: sanitizeHeaderRecord(rawEndpoint && rawEndpoint.headers),
+    wireApi: WIRE_API_OPTIONS.includes(wireApi) ? wireApi : "chat_completions",
+    enabled: !(rawEndpoint && rawEndpoint.enabled === false),
+  };
+}
+
+function normalizeCustomEndpoints(rawEndpoints) {
+  if (!Array.isArray(rawEndpoints)) {
+    return [];
+  }
+  const seen = new Set();
+  const result = [];
+  rawEndpoints.forEach((entry, index) => {
+    const item = sanitizeCustomEndpoint(entry, index);
+    if (!item.baseUrl || seen.has(item.id)) {
+      return;
+    }
+    seen.add(item.id);
+    result.push(item);
+  });
+  return result;
+}
+
 function sanitizeContextPackItem(rawItem) {
   const path = sanitizeString(rawItem && rawItem.path, "");
   const mentionPath = sanitizeString(rawItem && rawItem.mentionPath, "");
@@ -710,10 +2016,11 @@ function normalizeContextPacks(rawPacks) {
 }
 
 class ProfileSuggestModal extends SuggestModal {
-  constructor(app, profiles, onChoose) {
+  constructor(app, profiles, onChoose, settings = null) {
     super(app);
     this.profiles = profiles;
     this.onChoose = onChoose;
+    this.settings = settings;
     this.setPlaceholder("Search Local Gate profile...");
   }
 
@@ -733,9 +2040,10 @@ class ProfileSuggestModal extends SuggestModal {
 
   renderSuggestion(profile, el) {
     const row = el.createDiv({ cls: "local-gate-suggest-row" });
-    row.createEl("div", { text: profile.name, cls: "local-gate-suggest-title" });
+    const orphaned = this.settings && sanitizeStringArray(this.settings.orphanedProfileIds).includes(profile.id);
+    row.createEl("div", { text: orphaned ? `${profile.name} (orphaned)` : profile.name, cls: "local-gate-suggest-title" });
     row.createEl("small", {
-      text: `${providerLabel(profile.provider)} | model: ${sanitizeString(profile.model, "(auto)")} | ${profile.id} | capabilities: ${formatCapabilities(profile.capabilities)} | status: ${formatCompatibilityStatus(profile)}`,
+      text: `${providerLabel(profile.provider, this.settings)} | model: ${sanitizeString(profile.model, "(auto)")} | ${profile.id} | capabilities: ${formatCapabilities(profile.capabilities)} | status: ${formatCompatibilityStatus(profile)}`,
       cls: "local-gate-suggest-meta",
     });
   }
@@ -938,41 +2246,1124 @@ class LocalGateMultiMentionModal extends Modal {
   }
 }
 
-class LocalGateSettingTab extends PluginSettingTab {
-  constructor(app, plugin) {
-    super(app, plugin);
-    this.plugin = plugin;
+class LocalGateConfirmModal extends Modal {
+  constructor(app, title, message, confirmText, onConfirm) {
+    super(app);
+    this.title = title;
+    this.message = message;
+    this.confirmText = confirmText;
+    this.onConfirm = onConfirm;
   }
 
-  currentLanguage() {
-    return sanitizeString(this.plugin.settings && this.plugin.settings.uiLanguage, "ko").toLowerCase() === "en"
-      ? "en"
-      : "ko";
+  onOpen() {
+    const { contentEl } = this;
+    contentEl.empty();
+    contentEl.createEl("h3", { text: this.title });
+    contentEl.createEl("p", { text: this.message, cls: "local-gate-confirm-message" });
+    new Setting(contentEl)
+      .addButton((button) => button.setButtonText("Cancel").onClick(() => this.close()))
+      .addButton((button) =>
+        button
+          .setButtonText(this.confirmText)
+          .setWarning()
+          .onClick(async () => {
+            this.close();
+            await this.onConfirm();
+          })
+      );
   }
 
-  isKo() {
-    return this.currentLanguage() === "ko";
+  onClose() {
+    this.contentEl.empty();
   }
+}
 
-  koen(ko, en) {
-    return this.isKo() ? ko : en;
+class LocalGateJsonFileSuggestModal extends SuggestModal {
+  constructor(app, paths, onChoose) {
+    super(app);
+    this.paths = paths;
+    this.onChoose = onChoose;
+    this.setPlaceholder("Select Local Gate settings bundle...");
   }
 
-  koenDesc(ko, en, beginnerHintKo = "", beginnerHintEn = "") {
-    const fragment = document.createDocumentFragment();
-    const main = document.createElement("div");
-    main.className = "local-gate-desc-main";
-    main.textContent = this.koen(ko, en);
-    fragment.appendChild(main);
-    const hintText = this.isKo() ? sanitizeString(beginnerHintKo, "") : sanitizeString(beginnerHintEn, "");
-    if (hintText) {
-      const hint = document.createElement("small");
-      hint.className = "local-gate-desc-hint";
-      hint.textContent = this.isKo() ? `초보자 팁: ${hintText}` : `Beginner tip: ${hintText}`;
-      fragment.appendChild(hint);
-    }
-    return fragment;
-  }
+  getSuggestions(query) {
+    const lowered = query.toLowerCase();
+    return this.paths.filter((path) => (lowered.length === 0 ? true : path.toLowerCase().includes(lowered)));
+  }
+
+  renderSuggestion(path, el) {
+    el.createEl("div", { text: path });
+  }
+
+  onChooseSuggestion(path) {
+    this.onChoose(path);
+  }
+}
+
+class LocalGateAgentClientBackupSuggestModal extends SuggestModal {
+  constructor(app, backups, onChoose) {
+    super(app);
+    this.backups = backups;
+    this.onChoose = onChoose;
+    this.setPlaceholder("Select Agent Client settings backup...");
+  }
+
+  getSuggestions(query) {
+    const lowered = query.toLowerCase();
+    return this.backups.filter((backup) => (lowered.length === 0 ? true : backup.label.toLowerCase().includes(lowered)));
+  }
+
+  renderSuggestion(backup, el) {
+    el.createEl("div", { text: backup.label });
+    el.createEl("small", { text: backup.path, cls: "local-gate-suggest-meta" });
+  }
+
+  onChooseSuggestion(backup) {
+    this.onChoose(backup);
+  }
+}
+
+class LocalGateDiffModal extends Modal {
+  constructor(app, title, before, after, confirmText, onConfirm) {
+    super(app);
+    this.title = title;
+    this.before = before;
+    this.after = after;
+    this.confirmText = confirmText;
+    this.onConfirm = onConfirm;
+  }
+
+  onOpen() {
+    const { contentEl } = this;
+    contentEl.empty();
+    contentEl.createEl("h3", { text: this.title });
+    const diff = diffTextLines(this.before, this.after);
+    const changed = diff.filter((entry) => entry.type !== "same").length;
+    contentEl.createEl("p", {
+      text: changed === 0 ? "No differences." : `${changed} changed line(s). - current, + selected.`,
+      cls: "local-gate-meta",
+    });
+    const pre = contentEl.createEl("pre", { cls: "local-gate-diff" });
+    diff.forEach((entry, index) => {
+      const nearChange = diff
+        .slice(Math.max(0, index - 2), index + 3)
+        .some((neighbor) => neighbor.type !== "same");
+      if (entry.type === "same" && !nearChange) {
+        return;
+      }
+      const prefix = entry.type === "add" ? "+ " : entry.type === "del" ? "- " : "  ";
+      pre.createDiv({ text: `${prefix}${entry.line}`, cls: `local-gate-diff-${entry.type}` });
+    });
+    new Setting(contentEl)
+      .addButton((button) => button.setButtonText("Cancel").onClick(() => this.close()))
+      .addButton((button) =>
+        button
+          .setButtonText(this.confirmText)
+          .setWarning()
+          .setDisabled(changed === 0)
+          .onClick(async () => {
+            this.close();
+            await this.onConfirm();
+          })
+      );
+  }
+
+  onClose() {
+    this.contentEl.empty();
+  }
+}
+
+class LocalGateMergeConflictModal extends Modal {
+  constructor(app, conflicts, onResolve) {
+    super(app);
+    this.conflicts = conflicts;
+    this.onResolve = onResolve;
+    this.choices = conflicts.map(() => "ours");
+    this.resolved = false;
+  }
+
+  onOpen() {
+    const { contentEl } = this;
+    contentEl.empty();
+    contentEl.createEl("h3", { text: "Agent Client Settings Conflict" });
+    contentEl.createEl("p", {
+      text: "Agent Client settings were changed outside Local Gate. Choose which value to keep for each conflicting field.",
+      cls: "local-gate-meta",
+    });
+    const format = (value) => (value === undefined ? "(removed)" : JSON.stringify(value));
+    this.conflicts.forEach((conflict, index) => {
+      new Setting(contentEl)
+        .setName(conflict.label)
+        .setDesc(`Local Gate: ${format(conflict.ours)} | External: ${format(conflict.theirs)}`)
+        .addDropdown((dropdown) =>
+          dropdown
+            .addOption("ours", "Keep Local Gate")
+            .addOption("theirs", "Keep external")
+            .setValue(this.choices[index])
+            .onChange((value) => {
+              this.choices[index] = value;
+            })
+        );
+    });
+    new Setting(contentEl)
+      .addButton((button) => button.setButtonText("Cancel write").onClick(() => this.close()))
+      .addButton((button) =>
+        button
+          .setButtonText("Apply")
+          .setCta()
+          .onClick(() => {
+            this.resolved = true;
+            this.onResolve(this.choices);
+            this.close();
+          })
+      );
+  }
+
+  onClose() {
+    this.contentEl.empty();
+    if (!this.resolved) {
+      this.onResolve(null);
+    }
+  }
+}
+
+class LocalGateSyncPreviewModal extends Modal {
+  constructor(app, diff, onConfirm) {
+    super(app);
+    this.diff = diff;
+    this.onConfirm = onConfirm;
+  }
+
+  onOpen() {
+    const { contentEl } = this;
+    contentEl.empty();
+    contentEl.createEl("h3", { text: "Preview Sync to Agent Client" });
+    const renderList = (title, items) => {
+      if (items.length === 0) {
+        return;
+      }
+      contentEl.createEl("h4", { text: `${title} (${items.length})` });
+      const list = contentEl.createEl("ul");
+      items.forEach((item) => list.createEl("li", { text: item }));
+    };
+    renderList("Agents added", this.diff.added);
+    renderList("Agents removed", this.diff.removed);
+    if (this.diff.changed.length > 0) {
+      contentEl.createEl("h4", { text: `Agents changed (${this.diff.changed.length})` });
+      this.diff.changed.forEach((entry) => {
+        contentEl.createEl("p", { text: `${entry.label}: ${entry.fields.join(", ")}` });
+        if (entry.argsDiff.length > 0) {
+          const pre = contentEl.createEl("pre", { cls: "local-gate-diff" });
+          entry.argsDiff.forEach((line) => {
+            pre.createDiv({ text: `${line.type === "add" ? "+" : "-"} ${line.line}`, cls: `local-gate-diff-${line.type}` });
+          });
+        }
+      });
+    }
+    if (this.diff.defaultAgent) {
+      contentEl.createEl("p", {
+        text: `Default agent: ${this.diff.defaultAgent.from || "(none)"} -> ${this.diff.defaultAgent.to || "(none)"}`,
+      });
+    }
+    if (this.diff.nodePath) {
+      contentEl.createEl("p", {
+        text: `Node path: ${this.diff.nodePath.from || "(none)"} -> ${this.diff.nodePath.to || "(none)"}`,
+      });
+    }
+    if (!this.diff.hasChanges) {
+      contentEl.createEl("p", { text: "Agent Client is already up to date." });
+    }
+    new Setting(contentEl)
+      .addButton((button) => button.setButtonText("Cancel").onClick(() => this.close()))
+      .addButton((button) =>
+        button
+          .setButtonText("Sync")
+          .setCta()
+          .onClick(async () => {
+            this.close();
+            await this.onConfirm();
+          })
+      );
+  }
+
+  onClose() {
+    this.contentEl.empty();
+  }
+}
+
+class LocalGateSettingsImportModal extends Modal {
+  constructor(app, path, plan, onApply) {
+    super(app);
+    this.path = path;
+    this.plan = plan;
+    this.onApply = onApply;
+  }
+
+  onOpen() {
+    const { contentEl } = this;
+    contentEl.empty();
+    contentEl.createEl("h3", { text: "Import Local Gate Settings" });
+    contentEl.createEl("p", {
+      text: `${this.path}${this.plan.exportedAt ? ` | exported ${this.plan.exportedAt}` : ""} | bundle v${this.plan.version}`,
+      cls: "local-gate-meta",
+    });
+    const renderList = (title, items) => {
+      if (items.length === 0) {
+        return;
+      }
+      contentEl.createEl("h4", { text: `${title} (${items.length})` });
+      const list = contentEl.createEl("ul");
+      items.forEach((item) => list.createEl("li", { text: item }));
+    };
+    renderList("Profiles added", this.plan.addedProfiles.map((profile) => `${profile.name} (${profile.id})`));
+    renderList("Profiles replaced", this.plan.replacedProfiles.map((profile) => `${profile.name} (${profile.id})`));
+    renderList("Settings changed", this.plan.changedKeys);
+    if (!this.plan.hasChanges) {
+      contentEl.createEl("p", { text: "Nothing to import: the bundle matches the current settings." });
+    }
+    new Setting(contentEl)
+      .addButton((button) => button.setButtonText("Cancel").onClick(() => this.close()))
+      .addButton((button) =>
+        button
+          .setButtonText("Apply")
+          .setCta()
+          .setDisabled(!this.plan.hasChanges)
+          .onClick(async () => {
+            this.close();
+            await this.onApply();
+          })
+      );
+  }
+
+  onClose() {
+    this.contentEl.empty();
+  }
+}
+
+class LocalGateOllamaPullModal extends Modal {
+  constructor(app, plugin, initialTag = "") {
+    super(app);
+    this.plugin = plugin;
+    this.targets = plugin.getOllamaHostTargets();
+    this.provider = this.targets[0].provider;
+    this.tag = initialTag;
+    this.pull = null;
+  }
+
+  onOpen() {
+    const { contentEl } = this;
+    contentEl.empty();
+    contentEl.createEl("h3", { text: "Pull Ollama Model" });
+
+    if (this.targets.length > 1) {
+      new Setting(contentEl).setName("Host").addDropdown((dropdown) => {
+        this.targets.forEach((target) => {
+          dropdown.addOption(target.provider, `${providerLabel(target.provider, this.plugin.settings)} (${formatHostFromUrl(target.baseUrl)})`);
+        });
+        dropdown.setValue(this.provider).onChange((value) => {
+          this.provider = value;
+        });
+      });
+    }
+
+    new Setting(contentEl)
+      .setName("Model tag")
+      .setDesc("Example: qwen2.5-coder:14b")
+      .addText((text) =>
+        text
+          .setPlaceholder("qwen2.5-coder:14b")
+          .setValue(this.tag)
+          .onChange((value) => {
+            this.tag = sanitizeString(value, "");
+          })
+      );
+
+    this.statusEl = contentEl.createEl("p", { text: "Idle.", cls: "local-gate-meta" });
+    this.progressEl = contentEl.createEl("progress", { cls: "local-gate-pull-progress" });
+    this.progressEl.max = 100;
+    this.progressEl.value = 0;
+
+    new Setting(contentEl)
+      .addButton((button) => {
+        this.cancelButton = button;
+        button.setButtonText("Cancel").onClick(() => {
+          if (this.pull) {
+            this.pull.cancel();
+            return;
+          }
+          this.close();
+        });
+      })
+      .addButton((button) => {
+        this.pullButton = button;
+        button
+          .setButtonText("Pull")
+          .setCta()
+          .onClick(() => this.startPull());
+      });
+  }
+
+  async startPull() {
+    if (!this.tag) {
+      new Notice("Local Gate: model tag is required.");
+      return;
+    }
+    if (this.pull) {
+      return;
+    }
+    this.pullButton.setDisabled(true);
+    this.statusEl.setText(`Pulling ${this.tag}...`);
+    this.pull = this.plugin.pullOllamaModel(this.provider, this.tag, (event) => this.renderProgress(event));
+    try {
+      await this.pull.done;
+      this.progressEl.value = 100;
+      this.statusEl.setText(`Pulled ${this.tag}. Rescanning...`);
+      this.pull = null;
+      await this.plugin.scanAndStoreModels({ silent: false });
+      this.close();
+    } catch (error) {
+      this.pull = null;
+      this.pullButton.setDisabled(false);
+      this.statusEl.setText(`Pull stopped: ${error.message}`);
+    }
+  }
+
+  renderProgress(event) {
+    const status = sanitizeString(event && event.status, "");
+    const total = Number(event && event.total) || 0;
+    const completed = Number(event && event.completed) || 0;
+    if (total > 0) {
+      const percent = Math.min(100, Math.round((completed / total) * 100));
+      this.progressEl.value = percent;
+      this.statusEl.setText(`${status} ${percent}% (${formatBytes(completed)} / ${formatBytes(total)})`);
+      return;
+    }
+    if (status) {
+      this.statusEl.setText(status);
+    }
+  }
+
+  onClose() {
+    if (this.pull) {
+      this.pull.cancel();
+      this.pull = null;
+    }
+    this.contentEl.empty();
+  }
+}
+
+class LocalGateProfileEditorModal extends Modal {
+  constructor(app, plugin, profile, onSave) {
+    super(app);
+    this.plugin = plugin;
+    this.isNew = !profile;
+    const source = profile || {
+      id: "",
+      name: "",
+      provider: "ollama",
+      model: "",
+      endpoint: "",
+      capabilities: ["completion", "tools"],
+      command: plugin.settings.codexAcpCommand || "codex-acp",
+      args: [],
+      env: [],
+      setAsDefaultAgent: true,
+    };
+    this.draft = {
+      ...source,
+      capabilities: sanitizeStringArray(source.capabilities),
+      args: sanitizeStringArray(source.args),
+      extraArgs: sanitizeStringArray(source.extraArgs),
+      env: sanitizeStringArray(source.env),
+      generation: sanitizeGenerationParams(source.generation),
+      systemPrompt: sanitizeString(source.systemPrompt, ""),
+      systemPromptNote: sanitizeString(source.systemPromptNote, ""),
+      publishAsAgent: source.publishAsAgent === true,
+      agentDisplayName: sanitizeString(source.agentDisplayName, ""),
+    };
+    this.onSave = onSave;
+  }
+
+  onOpen() {
+    const { contentEl } = this;
+    contentEl.empty();
+    contentEl.addClass("local-gate-profile-editor");
+    contentEl.createEl("h3", { text: this.isNew ? "Add Profile" : `Edit Profile: ${this.draft.name}` });
+
+    const splitLines = (value) =>
+      String(value || "")
+        .split(/\r?\n/)
+        .map((line) => line.trim())
+        .filter(Boolean);
+
+    new Setting(contentEl).setName("Name").addText((text) =>
+      text
+        .setPlaceholder("Ollama: qwen2.5-coder:14b")
+        .setValue(this.draft.name)
+        .onChange((value) => {
+          this.draft.name = value;
+          this.renderPreview();
+        })
+    );
+
+    new Setting(contentEl).setName("Provider").addDropdown((dropdown) => {
+      const providers = this.plugin.getConfiguredProviders();
+      if (!providers.includes(this.draft.provider)) {
+        providers.push(this.draft.provider);
+      }
+      providers.forEach((provider) => dropdown.addOption(provider, providerLabel(provider, this.plugin.settings)));
+      dropdown.setValue(this.draft.provider).onChange((value) => {
+        this.draft.provider = value;
+        this.renderPreview();
+      });
+    });
+
+    new Setting(contentEl).setName("Model").addText((text) =>
+      text
+        .setPlaceholder("qwen2.5-coder:14b")
+        .setValue(this.draft.model)
+        .onChange((value) => {
+          this.draft.model = value;
+          this.renderPreview();
+        })
+    );
+
+    new Setting(contentEl)
+      .setName("Endpoint")
+      .setDesc("OpenAI-compatible base URL. Leave empty to use the provider's configured URL.")
+      .addText((text) =>
+        text.setValue(this.draft.endpoint).onChange((value) => {
+          this.draft.endpoint = value;
+          this.renderPreview();
+        })
+      );
+
+    new Setting(contentEl)
+      .setName("Capabilities")
+      .setDesc("Comma-separated, e.g. completion, tools.")
+      .addText((text) =>
+        text.setValue(this.draft.capabilities.join(", ")).onChange((value) => {
+          this.draft.capabilities = String(value || "")
+            .split(",")
+            .map((item) => item.trim())
+            .filter(Boolean);
+          this.renderPreview();
+        })
+      );
+
+    new Setting(contentEl)
+      .setName("Command")
+      .setDesc("Any codex-acp binary path uses the global Codex ACP command. Set a different launcher to override it for this profile.")
+      .addText((text) =>
+        text.setValue(this.draft.command).onChange((value) => {
+          this.draft.command = value;
+          this.renderPreview();
+        })
+      );
+
+    new Setting(contentEl)
+      .setName("Extra args")
+      .setDesc("One argument per line, appended after the generated provider overrides.")
+      .addTextArea((text) =>
+        text.setValue(this.draft.extraArgs.join("\n")).onChange((value) => {
+          this.draft.extraArgs = splitLines(value);
+          this.renderPreview();
+        })
+      );
+
+    new Setting(contentEl)
+      .setName("Env")
+      .setDesc("One KEY=VALUE per line.")
+      .addTextArea((text) =>
+        text.setValue(this.draft.env.join("\n")).onChange((value) => {
+          this.draft.env = splitLines(value);
+          this.renderPreview();
+        })
+      );
+
+    contentEl.createEl("h4", { text: "Generation" });
+    [
+      [
+        "temperature",
+        "Temperature",
+        "0 - 2",
+        "Saved with the profile but not applied: codex-acp has no sampling setting to pass it to the model.",
+      ],
+      [
+        "topP",
+        "Top P",
+        "0 - 1",
+        "Saved with the profile but not applied: codex-acp has no sampling setting to pass it to the model.",
+      ],
+      [
+        "numCtx",
+        "Context window (num_ctx)",
+        "e.g. 32768",
+        "Sets Codex's model_context_window. For Ollama, the largest value across primary-host profiles is passed as " +
+          "OLLAMA_CONTEXT_LENGTH when Local Gate starts ollama serve. The value is read only at startup: restart the " +
+          "managed server (Settings > Ollama serve log) after changing it. An Ollama server started elsewhere keeps " +
+          "its own setting.",
+      ],
+      ["maxTokens", "Max output tokens", "e.g. 4096", "Sets Codex's model_max_output_tokens."],
+    ].forEach(([key, label, placeholder, description]) => {
+      new Setting(contentEl)
+        .setName(label)
+        .setDesc(description)
+        .addText((text) =>
+          text
+            .setPlaceholder(placeholder)
+            .setValue(this.draft.generation[key] == null ? "" : String(this.draft.generation[key]))
+            .onChange((value) => {
+              this.draft.generation[key] = sanitizeString(value, "");
+              this.renderPreview();
+            })
+        );
+    });
+
+    contentEl.createEl("h4", { text: "System Prompt" });
+    new Setting(contentEl)
+      .setName("System prompt")
+      .setDesc("Prepended to the first message of each chat session, and again when the prompt or profile changes.")
+      .addTextArea((text) =>
+        text.setValue(this.draft.systemPrompt).onChange((value) => {
+          this.draft.systemPrompt = value;
+        })
+      );
+
+    new Setting(contentEl)
+      .setName("System prompt note")
+      .setDesc("Vault path of a note used as the system prompt (frontmatter is ignored), e.g. Prompts/coder.md. Takes precedence over the text above.")
+      .addText((text) =>
+        text
+          .setPlaceholder("Prompts/coder.md")
+          .setValue(this.draft.systemPromptNote)
+          .onChange((value) => {
+            this.draft.systemPromptNote = value;
+          })
+      );
+
+    contentEl.createEl("h4", { text: "Agent Client" });
+    new Setting(contentEl)
+      .setName("Publish as standalone agent")
+      .setDesc("Add a separate Agent Client agent for this profile, next to the provider agent.")
+      .addToggle((toggle) =>
+        toggle.setValue(this.draft.publishAsAgent).onChange((value) => {
+          this.draft.publishAsAgent = value;
+        })
+      );
+
+    new Setting(contentEl)
+      .setName("Agent display name")
+      .setDesc("Shown in the Agent Client agent list. Defaults to the profile name.")
+      .addText((text) =>
+        text
+          .setPlaceholder("Coder (qwen 14b)")
+          .setValue(this.draft.agentDisplayName)
+          .onChange((value) => {
+            this.draft.agentDisplayName = value;
+          })
+      );
+
+    new Setting(contentEl).setName("Set as default agent").addToggle((toggle) =>
+      toggle.setValue(this.draft.setAsDefaultAgent !== false).onChange((value) => {
+        this.draft.setAsDefaultAgent = value;
+      })
+    );
+
+    contentEl.createEl("h4", { text: "Preview" });
+    this.previewEl = contentEl.createDiv();
+    this.renderPreview();
+
+    new Setting(contentEl)
+      .addButton((button) => button.setButtonText("Cancel").onClick(() => this.close()))
+      .addButton((button) =>
+        button
+          .setButtonText("Save")
+          .setCta()
+          .onClick(async () => {
+            const errors = this.validate();
+            if (errors.length > 0) {
+              new Notice(`Local Gate: ${errors.join(" ")}`);
+              return;
+            }
+            await this.onSave(this.draft);
+            this.close();
+          })
+      );
+  }
+
+  normalizeDraft() {
+    return sanitizeProfile(
+      { ...this.draft, id: this.draft.id || slugify(this.draft.name) || "profile" },
+      0,
+      this.plugin.compatibilityOptions()
+    );
+  }
+
+  validate() {
+    const errors = [];
+    const normalized = this.normalizeDraft();
+    if (!sanitizeString(this.draft.name, "")) {
+      errors.push("Name is required.");
+    }
+    if (!normalized.provider || normalized.provider === "local") {
+      errors.push("Provider is required.");
+    }
+    if (!normalized.model) {
+      errors.push("Model is required.");
+    }
+    if (normalized.endpoint) {
+      let protocol = "";
+      try {
+        protocol = new URL(normalized.endpoint).protocol;
+      } catch (_error) {}
+      if (protocol !== "http:" && protocol !== "https:") {
+        errors.push("Endpoint must be an http(s) URL.");
+      }
+    }
+    if (normalized.command.startsWith("-")) {
+      errors.push("Command must be an executable; put flags in Extra args.");
+    }
+    const danglingConfig = normalized.extraArgs.filter(
+      (arg, index) => (arg === "-c" || arg === "--config") && !normalized.extraArgs[index + 1]
+    );
+    if (danglingConfig.length > 0) {
+      errors.push("Extra args: -c needs a key=value on the next line.");
+    }
+    const invalidEnv = normalized.env.filter((entry) => !/^[A-Za-z_][A-Za-z0-9_]*=/.test(entry));
+    if (invalidEnv.length > 0) {
+      errors.push(`Invalid env line(s): ${invalidEnv.join(", ")}.`);
+    }
+    const generation = sanitizeGenerationParams(this.draft.generation);
+    const invalidGeneration = Object.keys(generation).filter(
+      (key) => generation[key] == null && sanitizeString(String(this.draft.generation[key] ?? ""), "") !== ""
+    );
+    if (invalidGeneration.length > 0) {
+      errors.push(`Out of range: ${invalidGeneration.join(", ")}.`);
+    }
+    return errors;
+  }
+
+  renderPreview() {
+    if (!this.previewEl) {
+      return;
+    }
+    this.previewEl.empty();
+    const normalized = this.normalizeDraft();
+    const errors = this.validate();
+    this.previewEl.createEl("p", {
+      text: `Status: ${formatCompatibilityStatus(normalized)}`,
+      cls: normalized.compatible ? "local-gate-meta" : "local-gate-error",
+    });
+    if (errors.length > 0) {
+      this.previewEl.createEl("p", { text: errors.join(" "), cls: "local-gate-error" });
+    }
+    const generationWarning = this.plugin.getGenerationWarning(normalized);
+    if (generationWarning) {
+      this.previewEl.createEl("p", { text: `Warning: ${generationWarning}`, cls: "local-gate-error" });
+    }
+    const args = this.plugin.buildProfileAgentArgs(normalized, { argsPrefix: [] });
+    this.previewEl.createEl("pre", {
+      text: formatShellCommand(this.plugin.resolveProfileCommand(normalized), args),
+      cls: "local-gate-log",
+    });
+  }
+
+  onClose() {
+    this.contentEl.empty();
+  }
+}
+
+class LocalGateModelOverrideModal extends Modal {
+  constructor(app, model, override, onSave) {
+    super(app);
+    this.model = model;
+    this.draft = override
+      ? { ...override }
+      : { capabilities: [], contextLength: "", wireApi: "" };
+    this.onSave = onSave;
+  }
+
+  onOpen() {
+    const { contentEl } = this;
+    contentEl.empty();
+    contentEl.createEl("h3", { text: `Pin Model Details: ${this.model.model}` });
+    const detected = this.model.detected || this.model;
+    contentEl.createEl("p", {
+      text: `Detected: ${formatCapabilities(detected.capabilities)} | context ${detected.contextLength || "-"} | source ${detected.discoverySource}`,
+      cls: "local-gate-meta",
+    });
+
+    new Setting(contentEl)
+      .setName("Capabilities")
+      .setDesc("Comma-separated, e.g. completion, tools, vision. Leave empty to keep detected values.")
+      .addText((text) =>
+        text.setValue(this.draft.capabilities.join(", ")).onChange((value) => {
+          this.draft.capabilities = String(value || "")
+            .split(",")
+            .map((item) => item.trim())
+            .filter(Boolean);
+        })
+      );
+
+    new Setting(contentEl)
+      .setName("Context length")
+      .setDesc("Leave empty to keep the detected value.")
+      .addText((text) =>
+        text.setValue(this.draft.contextLength).onChange((value) => {
+          this.draft.contextLength = sanitizeString(value, "");
+        })
+      );
+
+    new Setting(contentEl).setName("Wire API").addDropdown((dropdown) => {
+      dropdown.addOption("", "Auto");
+      WIRE_API_OPTIONS.forEach((option) => dropdown.addOption(option, option));
+      dropdown.setValue(this.draft.wireApi).onChange((value) => {
+        this.draft.wireApi = value;
+      });
+    });
+
+    new Setting(contentEl)
+      .addButton((button) => button.setButtonText("Cancel").onClick(() => this.close()))
+      .addButton((button) =>
+        button.setButtonText("Clear pins").onClick(async () => {
+          await this.onSave(null);
+          this.close();
+        })
+      )
+      .addButton((button) =>
+        button
+          .setButtonText("Save")
+          .setCta()
+          .onClick(async () => {
+            await this.onSave(this.draft);
+            this.close();
+          })
+      );
+  }
+
+  onClose() {
+    this.contentEl.empty();
+  }
+}
+
+class LocalGateCompatibilityRuleModal extends Modal {
+  constructor(app, rule, providers, onSave) {
+    super(app);
+    this.isNew = !rule;
+    this.draft = rule
+      ? { ...rule }
+      : {
+          name: "",
+          enabled: true,
+          provider: "",
+          modelGlob: "*",
+          hasCapabilities: [],
+          lacksCapabilities: [],
+          contextBelow: 0,
+          contextAtLeast: 0,
+          verdict: "block",
+          reason: "",
+        };
+    this.providers = providers;
+    this.onSave = onSave;
+  }
+
+  onOpen() {
+    const { contentEl } = this;
+    contentEl.empty();
+    contentEl.createEl("h3", { text: this.isNew ? "Add Compatibility Rule" : "Edit Compatibility Rule" });
+
+    const splitList = (value) =>
+      String(value || "")
+        .split(",")
+        .map((item) => item.trim())
+        .filter(Boolean);
+
+    new Setting(contentEl).setName("Name").addText((text) =>
+      text
+        .setPlaceholder("Min 16k context")
+        .setValue(this.draft.name)
+        .onChange((value) => {
+          this.draft.name = sanitizeString(value, "");
+        })
+    );
+
+    new Setting(contentEl)
+      .setName("Provider")
+      .setDesc("Match one provider, or any provider.")
+      .addDropdown((dropdown) => {
+        dropdown.addOption("", "Any provider");
+        this.providers.forEach((entry) => dropdown.addOption(entry.value, entry.label));
+        dropdown.setValue(this.draft.provider).onChange((value) => {
+          this.draft.provider = value;
+        });
+      });
+
+    new Setting(contentEl)
+      .setName("Model glob")
+      .setDesc("* and ? wildcards, case-insensitive. Example: *embed*")
+      .addText((text) =>
+        text.setValue(this.draft.modelGlob).onChange((value) => {
+          this.draft.modelGlob = sanitizeString(value, "*");
+        })
+      );
+
+    new Setting(contentEl)
+      .setName("Has capabilities")
+      .setDesc("Comma-separated. All must be present. Example: vision")
+      .addText((text) =>
+        text.setValue(this.draft.hasCapabilities.join(", ")).onChange((value) => {
+          this.draft.hasCapabilities = splitList(value);
+        })
+      );
+
+    new Setting(contentEl)
+      .setName("Lacks capabilities")
+      .setDesc("Comma-separated. All must be missing. Example: tools")
+      .addText((text) =>
+        text.setValue(this.draft.lacksCapabilities.join(", ")).onChange((value) => {
+          this.draft.lacksCapabilities = splitList(value);
+        })
+      );
+
+    new Setting(contentEl)
+      .setName("Context below")
+      .setDesc("Match when the known context length is below this value. 0 = ignore.")
+      .addText((text) =>
+        text.setValue(String(this.draft.contextBelow || 0)).onChange((value) => {
+          this.draft.contextBelow = Number(value) || 0;
+        })
+      );
+
+    new Setting(contentEl)
+      .setName("Context at least")
+      .setDesc("Match when the known context length is at least this value. 0 = ignore.")
+      .addText((text) =>
+        text.setValue(String(this.draft.contextAtLeast || 0)).onChange((value) => {
+          this.draft.contextAtLeast = Number(value) || 0;
+        })
+      );
+
+    new Setting(contentEl).setName("Verdict").addDropdown((dropdown) =>
+      dropdown
+        .addOption("block", "Block")
+        .addOption("allow", "Allow")
+        .setValue(this.draft.verdict)
+        .onChange((value) => {
+          this.draft.verdict = value;
+        })
+    );
+
+    new Setting(contentEl)
+      .setName("Reason")
+      .setDesc("Shown as the model status when this rule decides.")
+      .addText((text) =>
+        text
+          .setPlaceholder("context below 16k")
+          .setValue(this.draft.reason)
+          .onChange((value) => {
+            this.draft.reason = sanitizeString(value, "");
+          })
+      );
+
+    new Setting(contentEl)
+      .addButton((button) => button.setButtonText("Cancel").onClick(() => this.close()))
+      .addButton((button) =>
+        button
+          .setButtonText("Save")
+          .setCta()
+          .onClick(async () => {
+            if (!this.draft.name) {
+              new Notice("Local Gate: rule name is required.");
+              return;
+            }
+            await this.onSave(this.draft);
+            this.close();
+          })
+      );
+  }
+
+  onClose() {
+    this.contentEl.empty();
+  }
+}
+
+class LocalGateOllamaHostModal extends Modal {
+  constructor(app, host, onSave) {
+    super(app);
+    this.isNew = !host;
+    this.draft = host ? { ...host } : { id: "", label: "", baseUrl: "", enabled: true };
+    this.onSave = onSave;
+  }
+
+  onOpen() {
+    const { contentEl } = this;
+    contentEl.empty();
+    contentEl.createEl("h3", { text: this.isNew ? "Add Ollama Host" : "Edit Ollama Host" });
+
+    new Setting(contentEl)
+      .setName("Label")
+      .setDesc("Shown in model lists and as the agent name (Local Ollama (<label>)).")
+      .addText((text) =>
+        text
+          .setPlaceholder("GPU box")
+          .setValue(this.draft.label)
+          .onChange((value) => {
+            this.draft.label = sanitizeString(value, "");
+          })
+      );
+
+    new Setting(contentEl)
+      .setName("Base URL")
+      .setDesc("Example: http://192.168.0.20:11434")
+      .addText((text) =>
+        text
+          .setPlaceholder("http://192.168.0.20:11434")
+          .setValue(this.draft.baseUrl)
+          .onChange((value) => {
+            this.draft.baseUrl = sanitizeString(value, "");
+          })
+      );
+
+    new Setting(contentEl)
+      .addButton((button) => button.setButtonText("Cancel").onClick(() => this.close()))
+      .addButton((button) =>
+        button
+          .setButtonText("Save")
+          .setCta()
+          .onClick(async () => {
+            if (!this.draft.label || !this.draft.baseUrl) {
+              new Notice("Local Gate: label and base URL are required.");
+              return;
+            }
+            await this.onSave(this.draft);
+            this.close();
+          })
+      );
+  }
+
+  onClose() {
+    this.contentEl.empty();
+  }
+}
+
+class LocalGateCustomEndpointModal extends Modal {
+  constructor(app, endpoint, onSave) {
+    super(app);
+    this.isNew = !endpoint;
+    this.draft = endpoint
+      ? { ...endpoint, headers: { ...endpoint.headers } }
+      : { id: "", label: "", baseUrl: "", headers: {}, wireApi: "chat_completions", enabled: true };
+    this.onSave = onSave;
+  }
+
+  onOpen() {
+    const { contentEl } = this;
+    contentEl.empty();
+    contentEl.addClass("local-gate-endpoint-modal");
+    contentEl.createEl("h3", { text: this.isNew ? "Add Custom Endpoint" : "Edit Custom Endpoint" });
+
+    new Setting(contentEl)
+      .setName("Label")
+      .setDesc("Shown as the agent name in Agent Client (Local <label>).")
+      .addText((text) =>
+        text
+          .setPlaceholder("vLLM")
+          .setValue(this.draft.label)
+          .onChange((value) => {
+            this.draft.label = sanitizeString(value, "");
+          })
+      );
+
+    new Setting(contentEl)
+      .setName("Base URL")
+      .setDesc("OpenAI-compatible base URL. Example: http://127.0.0.1:8000/v1")
+      .addText((text) =>
+        text
+          .setPlaceholder("http://127.0.0.1:8000/v1")
+          .setValue(this.draft.baseUrl)
+          .onChange((value) => {
+            this.draft.baseUrl = sanitizeString(value, "");
+          })
+      );
+
+    new Setting(contentEl)
+      .setName("Headers")
+      .setDesc("Optional. One header per line, e.g. Authorization: Bearer <token>")
+      .addTextArea((text) =>
+        text.setValue(formatHeaderLines(this.draft.headers)).onChange((value) => {
+          this.draft.headers = parseHeaderLines(value);
+        })
+      );
+
+    new Setting(contentEl)
+      .setName("Wire API")
+      .setDesc("Use chat_completions unless the server implements /v1/responses.")
+      .addDropdown((dropdown) => {
+        WIRE_API_OPTIONS.forEach((option) => dropdown.addOption(option, option));
+        dropdown.setValue(this.draft.wireApi).onChange((value) => {
+          this.draft.wireApi = value;
+        });
+      });
+
+    new Setting(contentEl)
+      .addButton((button) => button.setButtonText("Cancel").onClick(() => this.close()))
+      .addButton((button) =>
+        button
+          .setButtonText("Save")
+          .setCta()
+          .onClick(async () => {
+            if (!this.draft.label || !normalizeCustomEndpointBaseUrl(this.draft.baseUrl)) {
+              new Notice("Local Gate: label and base URL are required.");
+              return;
+            }
+            await this.onSave(this.draft);
+            this.close();
+          })
+      );
+  }
+
+  onClose() {
+    this.contentEl.empty();
+  }
+}
+
+class LocalGateSettingTab extends PluginSettingTab {
+  constructor(app, plugin) {
+    super(app, plugin);
+    this.plugin = plugin;
+  }
+
+  currentLanguage() {
+    return sanitizeString(this.plugin.settings && this.plugin.settings.uiLanguage, "ko").toLowerCase() === "en"
+      ? "en"
+      : "ko";
+  }
+
+  isKo() {
+    return this.currentLanguage() === "ko";
+  }
+
+  koen(ko, en) {
+    return this.isKo() ? ko : en;
+  }
+
+  koenDesc(ko, en, beginnerHintKo = "", beginnerHintEn = "") {
+    const fragment = document.createDocumentFragment();
+    const main = document.createElement("div");
+    main.className = "local-gate-desc-main";
+    main.textContent = this.koen(ko, en);
+    fragment.appendChild(main);
+    const hintText = this.isKo() ? sanitizeString(beginnerHintKo, "") : sanitizeString(beginnerHintEn, "");
+    if (hintText) {
+      const hint = document.createElement("small");
+      hint.className = "local-gate-desc-hint";
+      hint.textContent = this.isKo() ? `초보자 팁: ${hintText}` : `Beginner tip: ${hintText}`;
+      fragment.appendChild(hint);
+    }
+    return fragment;
+  }
 
   display() {
     const { containerEl } = this;
@@ -987,6 +3378,23 @@ class LocalGateSettingTab extends PluginSettingTab {
       ),
       cls: "local-gate-subtitle",
     });
+    if (this.plugin.__localGateMigrationError) {
+      new Setting(containerEl)
+        .setName(this.koen("설정 마이그레이션 실패", "Settings migration failed"))
+        .setDesc(
+          this.koenDesc(
+            `변경 사항이 저장되지 않습니다. ${this.plugin.__localGateMigrationError}`,
+            `Changes are not saved. ${this.plugin.__localGateMigrationError}`,
+            "백업 파일은 플러그인 폴더에 있습니다. 데이터를 고친 뒤 다시 시도하세요."
+          )
+        )
+        .addButton((button) =>
+          button.setButtonText(this.koen("다시 시도", "Retry migration")).onClick(async () => {
+            await this.plugin.loadSettings();
+            this.display();
+          })
+        );
+    }
 
     const langTabs = containerEl.createDiv({ cls: "local-gate-lang-tabs" });
     const koTab = langTabs.createEl("button", { text: "KO" });
@@ -1017,8 +3425,8 @@ class LocalGateSettingTab extends PluginSettingTab {
       .setName(this.koen("Agent Client 동기화", "Sync to Agent Client"))
       .setDesc(
         this.koenDesc(
-          "로컬 제공자 에이전트(Ollama/LM Studio)를 Agent Client에 반영합니다.",
-          "Publish local provider agents (Ollama / LM Studio) to Agent Client.",
+          "로컬 제공자 에이전트(Ollama/LM Studio/llama.cpp)를 Agent Client에 반영합니다.",
+          "Publish local provider agents (Ollama / LM Studio / llama.cpp) to Agent Client.",
           "모델 목록을 바꾼 뒤 한 번 눌러주면 채팅창 선택 목록에 바로 반영됩니다."
         )
       )
@@ -1026,6 +3434,11 @@ class LocalGateSettingTab extends PluginSettingTab {
         button.setButtonText(this.koen("동기화", "Sync")).setCta().onClick(async () => {
           await this.plugin.syncProfilesToAgentClientAgents();
         })
+      )
+      .addButton((button) =>
+        button.setButtonText(this.koen("미리보기", "Preview")).onClick(async () => {
+          await this.plugin.previewAgentClientSync();
+        })
       );
 
     new Setting(quickSection)
@@ -1078,6 +3491,125 @@ class LocalGateSettingTab extends PluginSettingTab {
         })
       );
 
+    const profileSection = containerEl.createDiv({ cls: "local-gate-section" });
+    profileSection.createEl("h3", { text: this.koen("프로필", "Profiles") });
+    const openProfileEditor = (profile) => {
+      new LocalGateProfileEditorModal(this.app, this.plugin, profile, async (draft) => {
+        await this.plugin.saveEditedProfile(draft, profile ? profile.id : "");
+        this.display();
+      }).open();
+    };
+    this.plugin.settings.profiles.forEach((profile) => {
+      const isDefault = profile.id === this.plugin.settings.lastProfileId;
+      const orphaned = this.plugin.isProfileOrphaned(profile.id);
+      new Setting(profileSection)
+        .setName(
+          `${profile.name}${isDefault ? ` (${this.koen("기본", "default")})` : ""}${
+            orphaned ? ` (${this.koen("모델 없음", "orphaned")})` : ""
+          }${profile.publishAsAgent ? ` (${this.koen("개별 에이전트", "standalone agent")})` : ""}`
+        )
+        .setDesc(
+          `${providerLabel(profile.provider, this.plugin.settings)} | ${this.koen("모델", "model")}: ${sanitizeString(
+            profile.model,
+            "(auto)"
+          )} | ${this.koen("상태", "status")}: ${formatCompatibilityStatus(profile)}${
+            hasGenerationParams(profile.generation) ? ` | ${formatGenerationParams(profile.generation)}` : ""
+          }${this.plugin.getGenerationWarning(profile) ? ` | ⚠ ${this.plugin.getGenerationWarning(profile)}` : ""}`
+        )
+        .addButton((button) =>
+          button
+            .setButtonText(this.koen("기본으로", "Set default"))
+            .setDisabled(isDefault || !profile.compatible)
+            .onClick(async () => {
+              await this.plugin.applyProfile(profile);
+              this.display();
+            })
+        )
+        .addButton((button) => button.setButtonText(this.koen("편집", "Edit")).onClick(() => openProfileEditor(profile)))
+        .addButton((button) =>
+          button.setButtonText(this.koen("복제", "Duplicate")).onClick(async () => {
+            await this.plugin.duplicateProfile(profile.id);
+            this.display();
+          })
+        )
+        .addButton((button) =>
+          button
+            .setButtonText(this.koen("삭제", "Delete"))
+            .setWarning()
+            .onClick(() => {
+              new LocalGateConfirmModal(this.app, "Delete Profile", `Delete profile "${profile.name}"?`, "Delete", async () => {
+                await this.plugin.deleteProfile(profile.id);
+                this.display();
+              }).open();
+            })
+        );
+    });
+    new Setting(profileSection)
+      .setName(this.koen("프로필 추가", "Add profile"))
+      .setDesc(
+        this.koenDesc(
+          "이름, 엔드포인트, 명령, 인자, 환경 변수를 직접 지정합니다. 저장 전에 생성될 명령줄을 미리 봅니다.",
+          "Define name, endpoint, command, args and env by hand, with a preview of the generated command line."
+        )
+      )
+      .addButton((button) => button.setButtonText(this.koen("추가", "Add")).onClick(() => openProfileEditor(null)));
+
+    const bindingSection = containerEl.createDiv({ cls: "local-gate-section" });
+    bindingSection.createEl("h3", { text: this.koen("노트별 프로필", "Note Profile Bindings") });
+    new Setting(bindingSection)
+      .setName(this.koen("활성 노트에 따라 자동 전환", "Auto-switch profile by active note"))
+      .setDesc(
+        this.koenDesc(
+          `노트를 열 때 frontmatter의 \`${PROFILE_FRONTMATTER_KEY}\`(프로필 ID 또는 이름) 또는 아래 폴더 매핑에 따라 프로필을 적용합니다.`,
+          `When a note opens, apply the profile named by its \`${PROFILE_FRONTMATTER_KEY}\` frontmatter (profile id or name) or by the folder mappings below.`,
+          "호환되지 않는 프로필로는 전환하지 않습니다. frontmatter가 폴더 매핑보다 우선합니다."
+        )
+      )
+      .addToggle((toggle) =>
+        toggle.setValue(this.plugin.settings.autoSwitchProfileByNote !== false).onChange(async (value) => {
+          this.plugin.settings.autoSwitchProfileByNote = value;
+          await this.plugin.saveSettings();
+        })
+      );
+    this.plugin.settings.folderProfileMappings.forEach((mapping, index) => {
+      new Setting(bindingSection)
+        .setName(this.koen(`폴더 매핑 ${index + 1}`, `Folder mapping ${index + 1}`))
+        .addText((text) =>
+          text
+            .setPlaceholder("Research")
+            .setValue(mapping.folder)
+            .onChange(async (value) => {
+              mapping.folder = sanitizeString(value, "").replace(/^\/+|\/+$/g, "");
+              await this.plugin.saveSettings();
+            })
+        )
+        .addDropdown((dropdown) => {
+          dropdown.addOption("", this.koen("(프로필 선택)", "(choose profile)"));
+          this.plugin.settings.profiles.forEach((profile) => dropdown.addOption(profile.id, profile.name));
+          dropdown.setValue(mapping.profileId).onChange(async (value) => {
+            mapping.profileId = value;
+            await this.plugin.saveSettings();
+          });
+        })
+        .addButton((button) =>
+          button
+            .setButtonText(this.koen("삭제", "Remove"))
+            .setWarning()
+            .onClick(async () => {
+              this.plugin.settings.folderProfileMappings.splice(index, 1);
+              await this.plugin.saveSettings();
+              this.display();
+            })
+        );
+    });
+    new Setting(bindingSection).setName(this.koen("폴더 매핑 추가", "Add folder mapping")).addButton((button) =>
+      button.setButtonText(this.koen("추가", "Add")).onClick(async () => {
+        this.plugin.settings.folderProfileMappings.push({ folder: "", profileId: "" });
+        await this.plugin.saveSettings();
+        this.display();
+      })
+    );
+
     const scanSection = containerEl.createDiv({ cls: "local-gate-section" });
     scanSection.createEl("h3", { text: this.koen("모델 탐색", "Discovery") });
     scanSection.createEl("p", {
@@ -1109,6 +3641,22 @@ class LocalGateSettingTab extends PluginSettingTab {
         })
       );
 
+    if (this.plugin.settings.enableOllamaScan) {
+      new Setting(scanSection)
+        .setName(this.koen("Ollama 모델 받기", "Pull Ollama model"))
+        .setDesc(
+          this.koenDesc(
+            "모델 태그를 입력해 /api/pull 로 내려받고, 완료되면 자동으로 다시 스캔합니다.",
+            "Download a model tag via /api/pull with live progress, then rescan automatically."
+          )
+        )
+        .addButton((button) =>
+          button.setButtonText(this.koen("받기", "Pull")).onClick(() => {
+            new LocalGateOllamaPullModal(this.app, this.plugin).open();
+          })
+        );
+    }
+
     new Setting(scanSection)
       .setName(this.koen("시작 시 자동 스캔", "Scan on startup"))
       .setDesc(
@@ -1126,20 +3674,115 @@ class LocalGateSettingTab extends PluginSettingTab {
       );
 
     new Setting(scanSection)
-      .setName(this.koen("Ollama 스캔 사용", "Enable Ollama scan"))
+      .setName(this.koen("스캔 변경 알림", "Notify scan changes"))
+      .setDesc(
+        this.koenDesc(
+          "스캔 후 새로 생기거나 사라진 모델을 알림으로 보여줍니다.",
+          "Show a Notice when models appear, disappear or change between scans."
+        )
+      )
+      .addToggle((toggle) =>
+        toggle.setValue(this.plugin.settings.notifyScanChanges).onChange(async (value) => {
+          this.plugin.settings.notifyScanChanges = value;
+          await this.plugin.saveSettings();
+        })
+      );
+
+    new Setting(scanSection)
+      .setName(this.koen("제공자 상태 모니터", "Provider health monitor"))
+      .setDesc(
+        this.koenDesc(
+          "주기적으로 스캔이 켜진 제공자 엔드포인트를 확인하고 상태 표시줄에 초록/주황/빨강으로 표시합니다.",
+          "Periodically check each scan-enabled provider endpoint and show a green/amber/red status bar item.",
+          "선택된 제공자가 내려가거나 복구되면 알림을 띄웁니다."
+        )
+      )
+      .addToggle((toggle) =>
+        toggle.setValue(this.plugin.settings.enableHealthMonitor).onChange(async (value) => {
+          this.plugin.settings.enableHealthMonitor = value;
+          await this.plugin.saveSettings();
+          if (value) {
+            await this.plugin.runHealthCheck();
+          }
+        })
+      );
+
+    new Setting(scanSection)
+      .setName(this.koen("상태 확인 주기(초)", "Health check interval (seconds)"))
+      .setDesc(this.koenDesc("최소 10초입니다.", "Minimum 10 seconds."))
+      .addText((text) =>
+        text.setValue(String(this.plugin.settings.healthCheckIntervalSec)).onChange(async (value) => {
+          this.plugin.settings.healthCheckIntervalSec = Math.max(10, Number(value) || 30);
+          await this.plugin.saveSettings();
+        })
+      );
+
+    new Setting(scanSection)
+      .setName(this.koen("Ollama 스캔 사용", "Enable Ollama scan"))
+      .setDesc(
+        this.koenDesc(
+          "Ollama 모델 탐색을 켭니다(CLI 우선, HTTP 폴백).",
+          "Enable Ollama model discovery (CLI first, HTTP fallback)."
+        )
+      )
+      .addToggle((toggle) =>
+        toggle.setValue(this.plugin.settings.enableOllamaScan).onChange(async (value) => {
+          this.plugin.settings.enableOllamaScan = value;
+          await this.plugin.saveSettings();
+        })
+      );
+
+    new Setting(scanSection)
+      .setName(this.koen("Ollama 자동 시작", "Start Ollama if not running"))
       .setDesc(
         this.koenDesc(
-          "Ollama 모델 탐색을 켭니다(CLI 우선, HTTP 폴백).",
-          "Enable Ollama model discovery (CLI first, HTTP fallback)."
+          "스캔 시 기본 Ollama 서버에 연결할 수 없으면 `ollama serve`를 직접 실행하고 준비될 때까지 기다립니다.",
+          "When the primary Ollama server is unreachable during a scan, spawn `ollama serve` and wait for it to come up.",
+          "Local Gate가 시작한 프로세스는 플러그인 종료 시 함께 종료됩니다."
         )
       )
       .addToggle((toggle) =>
-        toggle.setValue(this.plugin.settings.enableOllamaScan).onChange(async (value) => {
-          this.plugin.settings.enableOllamaScan = value;
+        toggle.setValue(this.plugin.settings.autoStartOllama).onChange(async (value) => {
+          this.plugin.settings.autoStartOllama = value;
           await this.plugin.saveSettings();
         })
       );
 
+    const ollamaLog = this.plugin.__localGateOllamaLog || [];
+    if (this.plugin.__localGateOllamaProcess || ollamaLog.length > 0) {
+      const running = Boolean(this.plugin.__localGateOllamaProcess);
+      const logSetting = new Setting(scanSection)
+        .setName(this.koen("Ollama 서버 로그", "Ollama serve log"))
+        .setDesc(
+          running
+            ? this.koen("Local Gate가 시작한 `ollama serve` 실행 중", "`ollama serve` started by Local Gate is running")
+            : this.koen("관리 중인 프로세스가 종료되었습니다.", "Managed process has exited.")
+        );
+      if (running) {
+        const pendingContextLength = this.plugin.getManagedOllamaPendingContextLength();
+        if (pendingContextLength > 0) {
+          logSetting.addButton((button) =>
+            button
+              .setButtonText(
+                this.koen(`재시작 (num_ctx ${pendingContextLength})`, `Restart (num_ctx ${pendingContextLength})`)
+              )
+              .setCta()
+              .onClick(async () => {
+                await this.plugin.restartManagedOllama();
+                this.display();
+              })
+          );
+        }
+        logSetting.addButton((button) =>
+          button.setButtonText(this.koen("중지", "Stop")).onClick(() => {
+            this.plugin.stopManagedOllama();
+            this.display();
+          })
+        );
+      }
+      scanSection.createEl("pre", { text: ollamaLog.slice(-20).join("\n"), cls: "local-gate-log" });
+    }
+
     new Setting(scanSection)
       .setName(this.koen("LM Studio 스캔 사용", "Enable LM Studio scan"))
       .setDesc(
@@ -1155,6 +3798,22 @@ class LocalGateSettingTab extends PluginSettingTab {
         })
       );
 
+    new Setting(scanSection)
+      .setName(this.koen("llama.cpp 스캔 사용", "Enable llama.cpp scan"))
+      .setDesc(
+        this.koenDesc(
+          "llama-server의 /v1/models와 /props를 조회합니다.",
+          "Query /v1/models and /props from llama-server.",
+          "llama-server를 --jinja 옵션으로 실행해야 도구 호출이 동작합니다."
+        )
+      )
+      .addToggle((toggle) =>
+        toggle.setValue(this.plugin.settings.enableLlamaCppScan).onChange(async (value) => {
+          this.plugin.settings.enableLlamaCppScan = value;
+          await this.plugin.saveSettings();
+        })
+      );
+
     new Setting(scanSection)
       .setName(this.koen("Ollama 명령어", "Ollama command"))
       .setDesc(
@@ -1202,6 +3861,51 @@ class LocalGateSettingTab extends PluginSettingTab {
           })
       );
 
+    this.plugin.settings.ollamaHosts.forEach((host) => {
+      new Setting(scanSection)
+        .setName(`${this.koen("Ollama 호스트", "Ollama host")}: ${host.label}`)
+        .setDesc(host.baseUrl)
+        .addToggle((toggle) =>
+          toggle.setValue(host.enabled).onChange(async (value) => {
+            await this.plugin.setOllamaHostEnabled(host.id, value);
+          })
+        )
+        .addButton((button) =>
+          button.setButtonText(this.koen("편집", "Edit")).onClick(() => {
+            new LocalGateOllamaHostModal(this.app, host, async (draft) => {
+              await this.plugin.saveOllamaHost(draft, host.id);
+              this.display();
+            }).open();
+          })
+        )
+        .addButton((button) =>
+          button.setButtonText(this.koen("삭제", "Remove")).onClick(() => {
+            this.plugin.confirmProviderRemoval(toOllamaHostProviderKey(host.id), host.label, async () => {
+              await this.plugin.removeOllamaHost(host.id);
+              this.display();
+            });
+          })
+        );
+    });
+
+    new Setting(scanSection)
+      .setName(this.koen("Ollama 호스트 추가", "Add Ollama host"))
+      .setDesc(
+        this.koenDesc(
+          "LAN의 다른 Ollama 서버를 함께 탐색합니다. 호스트마다 별도 에이전트가 생성됩니다.",
+          "Discover another Ollama server (e.g. a LAN GPU box) side by side. Each host gets its own agent.",
+          "원격 서버는 OLLAMA_HOST=0.0.0.0 으로 실행해야 외부에서 접근할 수 있습니다."
+        )
+      )
+      .addButton((button) =>
+        button.setButtonText(this.koen("추가", "Add")).onClick(() => {
+          new LocalGateOllamaHostModal(this.app, null, async (draft) => {
+            await this.plugin.saveOllamaHost(draft);
+            this.display();
+          }).open();
+        })
+      );
+
     new Setting(scanSection)
       .setName(this.koen("LM Studio 기본 URL", "LM Studio base URL"))
       .setDesc(this.koenDesc("예시: http://127.0.0.1:1234/v1", "Example: http://127.0.0.1:1234/v1"))
@@ -1215,6 +3919,19 @@ class LocalGateSettingTab extends PluginSettingTab {
           })
       );
 
+    new Setting(scanSection)
+      .setName(this.koen("llama.cpp 기본 URL", "llama.cpp base URL"))
+      .setDesc(this.koenDesc("예시: http://127.0.0.1:8080", "Example: http://127.0.0.1:8080"))
+      .addText((text) =>
+        text
+          .setPlaceholder(LLAMACPP_DEFAULT_BASE_URL)
+          .setValue(this.plugin.settings.llamaCppBaseUrl)
+          .onChange(async (value) => {
+            this.plugin.settings.llamaCppBaseUrl = normalizeLlamaCppBaseUrl(value);
+            await this.plugin.saveSettings();
+          })
+      );
+
     new Setting(scanSection)
       .setName(this.koen("탐색 모델로 프로필 자동 생성", "Auto-create profiles from discovered models"))
       .setDesc(
@@ -1278,6 +3995,77 @@ class LocalGateSettingTab extends PluginSettingTab {
         })
       );
 
+    const rulesSection = containerEl.createDiv({ cls: "local-gate-section" });
+    rulesSection.createEl("h3", { text: this.koen("호환성 규칙", "Compatibility Rules") });
+    rulesSection.createEl("p", {
+      text: this.koen(
+        "위에서부터 순서대로 검사하며 처음 일치한 규칙이 허용/차단을 결정합니다. 일치하는 규칙이 없으면 기본 판정을 사용합니다.",
+        "Rules are checked top to bottom; the first match decides allow/block. Without a match the built-in gate applies."
+      ),
+      cls: "local-gate-meta",
+    });
+    const ruleProviderOptions = [
+      ...SUPPORTED_PROVIDERS.map((provider) => ({ value: provider, label: providerLabel(provider) })),
+      ...this.plugin
+        .getConfiguredProviders()
+        .filter((provider) => !SUPPORTED_PROVIDERS.includes(provider))
+        .map((provider) => ({ value: provider, label: providerLabel(provider, this.plugin.settings) })),
+    ];
+    const openRuleModal = (rule) => {
+      new LocalGateCompatibilityRuleModal(this.app, rule, ruleProviderOptions, async (draft) => {
+        await this.plugin.saveCompatibilityRule(draft, rule ? rule.id : "");
+        this.display();
+      }).open();
+    };
+    this.plugin.settings.compatibilityRules.forEach((rule, index) => {
+      const conditions = [
+        rule.provider ? providerLabel(rule.provider, this.plugin.settings) : this.koen("모든 제공자", "any provider"),
+        rule.modelGlob,
+        rule.hasCapabilities.length > 0 ? `+${rule.hasCapabilities.join(",")}` : "",
+        rule.lacksCapabilities.length > 0 ? `-${rule.lacksCapabilities.join(",")}` : "",
+        rule.contextBelow > 0 ? `ctx < ${rule.contextBelow}` : "",
+        rule.contextAtLeast > 0 ? `ctx >= ${rule.contextAtLeast}` : "",
+      ].filter(Boolean);
+      new Setting(rulesSection)
+        .setName(`${index + 1}. ${rule.name} → ${rule.verdict === "allow" ? this.koen("허용", "allow") : this.koen("차단", "block")}`)
+        .setDesc(`${conditions.join(" | ")} | ${this.koen("사유", "reason")}: ${rule.reason}`)
+        .addToggle((toggle) =>
+          toggle.setValue(rule.enabled).onChange(async (value) => {
+            rule.enabled = value;
+            this.plugin.recomputeCompatibilityFlags();
+            await this.plugin.saveSettings();
+          })
+        )
+        .addExtraButton((button) =>
+          button.setIcon("arrow-up").setTooltip(this.koen("위로", "Move up")).onClick(async () => {
+            await this.plugin.moveCompatibilityRule(rule.id, -1);
+            this.display();
+          })
+        )
+        .addExtraButton((button) =>
+          button.setIcon("arrow-down").setTooltip(this.koen("아래로", "Move down")).onClick(async () => {
+            await this.plugin.moveCompatibilityRule(rule.id, 1);
+            this.display();
+          })
+        )
+        .addButton((button) => button.setButtonText(this.koen("편집", "Edit")).onClick(() => openRuleModal(rule)))
+        .addButton((button) =>
+          button.setButtonText(this.koen("삭제", "Remove")).onClick(async () => {
+            await this.plugin.removeCompatibilityRule(rule.id);
+            this.display();
+          })
+        );
+    });
+    new Setting(rulesSection)
+      .setName(this.koen("규칙 추가", "Add rule"))
+      .setDesc(
+        this.koenDesc(
+          "예: 16k 미만 컨텍스트 차단, phi4는 도구 없이 허용, 이름에 embed/rerank가 있으면 차단.",
+          "Examples: block context under 16k, allow phi4 without tools, block *embed* / *rerank* on every provider."
+        )
+      )
+      .addButton((button) => button.setButtonText(this.koen("추가", "Add")).onClick(() => openRuleModal(null)));
+
     new Setting(scanSection)
       .setName(this.koen("Context Pack 동적 top-k", "Context Pack dynamic top-k"))
       .setDesc(
@@ -1392,6 +4180,21 @@ class LocalGateSettingTab extends PluginSettingTab {
         })
       );
 
+    new Setting(scanSection)
+      .setName(this.koen("주입된 시스템 프롬프트 로그", "Log injected system prompt"))
+      .setDesc(
+        this.koenDesc(
+          "프로필 시스템 프롬프트를 주입할 때 전송 진단 로그(개발자 콘솔)에 내용을 남깁니다.",
+          "Include the injected profile system prompt in the send diagnostics log (developer console)."
+        )
+      )
+      .addToggle((toggle) =>
+        toggle.setValue(this.plugin.settings.logInjectedSystemPrompt === true).onChange(async (value) => {
+          this.plugin.settings.logInjectedSystemPrompt = value;
+          await this.plugin.saveSettings();
+        })
+      );
+
     new Setting(scanSection)
       .setName(this.koen("차단된 탐색 모델 표시", "Show blocked discovered models"))
       .setDesc(
@@ -1424,6 +4227,106 @@ class LocalGateSettingTab extends PluginSettingTab {
         })
       );
 
+    const historySection = containerEl.createDiv({ cls: "local-gate-section" });
+    historySection.createEl("h3", { text: this.koen("스캔 기록", "Scan History") });
+    const orphanedProfiles = this.plugin.settings.profiles.filter((profile) => this.plugin.isProfileOrphaned(profile.id));
+    if (orphanedProfiles.length > 0) {
+      historySection.createEl("p", {
+        text: `${this.koen("모델이 사라진 프로필", "Orphaned profiles (model gone)")}: ${orphanedProfiles
+          .map((profile) => profile.name)
+          .join(", ")}`,
+        cls: "local-gate-error",
+      });
+    }
+    if (this.plugin.settings.scanHistory.length === 0) {
+      historySection.createEl("p", {
+        text: this.koen("아직 변경 기록이 없습니다.", "No model changes recorded yet."),
+        cls: "local-gate-empty",
+      });
+    } else {
+      const historyDetails = historySection.createEl("details");
+      historyDetails.createEl("summary", {
+        text: `${this.koen("최근 변경", "Recent changes")} (${this.plugin.settings.scanHistory.length})`,
+      });
+      this.plugin.settings.scanHistory.forEach((entry) => {
+        const lines = [
+          ...entry.added.map((item) => `+ ${item}`),
+          ...entry.removed.map((item) => `- ${item}`),
+          ...entry.changed.map((item) => `~ ${item}`),
+        ];
+        const block = historyDetails.createDiv({ cls: "local-gate-history-entry" });
+        block.createEl("strong", { text: new Date(entry.at).toLocaleString() });
+        lines.forEach((line) => block.createDiv({ text: line, cls: "local-gate-meta" }));
+      });
+      new Setting(historySection)
+        .setName(this.koen("기록 지우기", "Clear history"))
+        .addButton((button) =>
+          button.setButtonText(this.koen("지우기", "Clear")).onClick(async () => {
+            await this.plugin.clearScanHistory();
+            this.display();
+          })
+        );
+    }
+
+    const customSection = containerEl.createDiv({ cls: "local-gate-section" });
+    customSection.createEl("h3", { text: this.koen("사용자 정의 엔드포인트", "Custom Endpoints") });
+    customSection.createEl("p", {
+      text: this.koen(
+        "vLLM, LocalAI, Jan 등 /v1/models와 /v1/chat/completions를 제공하는 서버를 등록합니다.",
+        "Register servers that speak /v1/models and /v1/chat/completions (vLLM, LocalAI, Jan, ...)."
+      ),
+      cls: "local-gate-meta",
+    });
+
+    this.plugin.settings.customEndpoints.forEach((endpoint) => {
+      const headerCount = Object.keys(endpoint.headers).length;
+      new Setting(customSection)
+        .setName(endpoint.label)
+        .setDesc(
+          `${endpoint.baseUrl} | wire API: ${endpoint.wireApi}` +
+            (headerCount > 0 ? ` | ${this.koen("헤더", "headers")}: ${headerCount}` : "")
+        )
+        .addToggle((toggle) =>
+          toggle.setValue(endpoint.enabled).onChange(async (value) => {
+            await this.plugin.setCustomEndpointEnabled(endpoint.id, value);
+            this.display();
+          })
+        )
+        .addButton((button) =>
+          button.setButtonText(this.koen("편집", "Edit")).onClick(() => {
+            new LocalGateCustomEndpointModal(this.app, endpoint, async (draft) => {
+              await this.plugin.saveCustomEndpoint(draft, endpoint.id);
+              this.display();
+            }).open();
+          })
+        )
+        .addButton((button) =>
+          button.setButtonText(this.koen("삭제", "Remove")).onClick(() => {
+            this.plugin.confirmProviderRemoval(toCustomProviderKey(endpoint.id), endpoint.label, async () => {
+              await this.plugin.removeCustomEndpoint(endpoint.id);
+              this.display();
+            });
+          })
+        );
+    });
+
+    new Setting(customSection)
+      .setName(this.koen("엔드포인트 추가", "Add endpoint"))
+      .setDesc(
+        this.koenDesc(
+          "각 엔드포인트는 별도의 Local <이름> 에이전트로 게시됩니다.",
+          "Each endpoint is published as its own Local <label> agent."
+        )
+      )
+      .addButton((button) =>
+        button.setButtonText(this.koen("추가", "Add")).onClick(() => {
+          new LocalGateCustomEndpointModal(this.app, null, async (draft) => {
+            await this.plugin.saveCustomEndpoint(draft);
+            this.display();
+          }).open();
+        })
+      );
+
     const discoveredSection = containerEl.createDiv({ cls: "local-gate-section" });
     discoveredSection.createEl("h3", { text: this.koen("탐지된 로컬 모델", "Discovered Local Models") });
     const hiddenKeys = new Set(this.plugin.settings.hiddenDiscoveredModelKeys);
@@ -1431,7 +4334,10 @@ class LocalGateSettingTab extends PluginSettingTab {
     const hiddenModels = allModels.filter((model) => hiddenKeys.has(model.key));
     const detectedModels = allModels.filter((model) => !hiddenKeys.has(model.key));
     const blockedModels = detectedModels.filter((model) => !model.compatible);
-    const readyModels = detectedModels.filter((model) => model.compatible);
+    const readyModels = sortDiscoveredModels(
+      detectedModels.filter((model) => model.compatible),
+      this.plugin.settings.discoveredModelSort
+    );
     const hiddenManualCount = hiddenModels.length;
 
     discoveredSection.createEl("p", {
@@ -1450,6 +4356,69 @@ class LocalGateSettingTab extends PluginSettingTab {
       });
     }
 
+    new Setting(discoveredSection)
+      .setName(this.koen("사용가능 모델 정렬", "Sort ready models"))
+      .setDesc(
+        this.koenDesc(
+          "벤치마크 결과로 가장 빠른 모델을 위로 올립니다.",
+          "Use benchmark results to bring the fastest ready model to the top."
+        )
+      )
+      .addDropdown((dropdown) =>
+        dropdown
+          .addOption("default", this.koen("기본(스캔 순서)", "Default (scan order)"))
+          .addOption("speed", this.koen("토큰/초 높은 순", "Tokens/sec (fastest first)"))
+          .addOption("ttft", this.koen("첫 토큰 시간 짧은 순", "Time to first token (lowest first)"))
+          .setValue(this.plugin.settings.discoveredModelSort)
+          .onChange(async (value) => {
+            this.plugin.settings.discoveredModelSort = DISCOVERED_SORT_OPTIONS.includes(value) ? value : "default";
+            await this.plugin.saveSettings();
+            this.display();
+          })
+      )
+      .addButton((button) =>
+        button.setButtonText(this.koen("전체 벤치마크", "Benchmark all")).onClick(async () => {
+          button.setDisabled(true);
+          await this.plugin.benchmarkDiscoveredModels();
+          this.display();
+        })
+      );
+
+    new Setting(discoveredSection)
+      .setName(this.koen("기능 검증(프로브)", "Probe capabilities"))
+      .setDesc(
+        this.koenDesc(
+          "각 모델에 짧은 채팅/도구 호출/이미지 요청을 보내 실제 지원 기능을 기록합니다. 도구를 광고하지만 응답에 유효한 도구 호출이 없으면 차단되고, 시간 초과나 HTTP 오류는 미확인으로 남습니다.",
+          "Send a tiny chat, tool-call and image request to each model and record verified capabilities. Models that advertise tools but answer without a valid tool call are blocked; timeouts and HTTP errors are recorded as unverified.",
+          "모델마다 로드 시간이 걸릴 수 있어 수동으로만 실행됩니다."
+        )
+      )
+      .addButton((button) =>
+        button.setButtonText(this.koen("전체 검증", "Probe all")).onClick(async () => {
+          button.setDisabled(true);
+          await this.plugin.probeDiscoveredModels();
+          this.display();
+        })
+      );
+
+    if (this.plugin.settings.enableOllamaScan) {
+      new Setting(discoveredSection)
+        .setName(this.koen("Ollama 로드 상태 새로고침", "Refresh Ollama loaded state"))
+        .setDesc(
+          this.koenDesc(
+            "/api/ps 로 메모리에 올라간 모델(VRAM/RAM, 만료 시각)을 다시 확인합니다.",
+            "Re-check which models are in memory via /api/ps (VRAM/RAM size, expiry)."
+          )
+        )
+        .addButton((button) =>
+          button.setButtonText(this.koen("새로고침", "Refresh")).onClick(async () => {
+            button.setDisabled(true);
+            await this.plugin.refreshOllamaLoadedState();
+            this.display();
+          })
+        );
+    }
+
     const renderModelRows = (title, models, options = {}) => {
       const section = discoveredSection.createDiv({ cls: "local-gate-model-group" });
       section.createEl("h4", { text: title });
@@ -1459,11 +4428,38 @@ class LocalGateSettingTab extends PluginSettingTab {
       }
       models.forEach((model) => {
         const blockedSuffix = model.compatible ? "" : ` (${this.koen("차단", "blocked")})`;
+        const ollamaHost = findOllamaHost(this.plugin.settings, model.provider);
+        const hostText =
+          providerKind(model.provider) === "ollama"
+            ? ` | ${this.koen("호스트", "host")}: ${ollamaHost ? ollamaHost.label : this.koen("로컬", "local")} (${formatHostFromUrl(model.endpoint)})`
+            : "";
+        const loadedInfo = providerKind(model.provider) === "ollama" ? this.plugin.getOllamaLoadedInfo(model) : undefined;
+        const detailText = [
+          model.architecture ? `${this.koen("아키텍처", "arch")}: ${model.architecture}` : "",
+          model.quantization ? `${this.koen("양자화", "quant")}: ${model.quantization}` : "",
+          model.loadState ? `${this.koen("로드", "load")}: ${model.loadState}` : "",
+          loadedInfo === null ? `${this.koen("로드", "load")}: ${this.koen("미로드", "not loaded")}` : "",
+          model.probe
+            ? `${this.koen("검증", "probe")}: ${formatProbeResult(model.probe)} (${new Date(model.probe.checkedAt).toLocaleString()})`
+            : "",
+          loadedInfo
+            ? `${this.koen("로드", "load")}: VRAM ${formatBytes(loadedInfo.sizeVram)} / RAM ${formatBytes(loadedInfo.sizeRam)}${
+                loadedInfo.expiresAt ? `, ${this.koen("만료", "expires")} ${new Date(loadedInfo.expiresAt).toLocaleTimeString()}` : ""
+              }`
+            : "",
+        ]
+          .filter(Boolean)
+          .map((item) => ` | ${item}`)
+          .join("");
         const row = new Setting(section)
-          .setName(`${providerLabel(model.provider)}: ${model.model}${blockedSuffix}`)
+          .setName(`${providerLabel(model.provider, this.plugin.settings)}: ${model.model}${blockedSuffix}`)
           .setDesc(
-            `${capabilityBadges(model.model, model.capabilities)} | ${this.koen("엔드포인트", "endpoint")}: ${model.endpoint} | ${this.koen("기능", "capabilities")}: ${formatCapabilities(model.capabilities)}${
+            `${capabilityBadges(model.model, model.capabilities)}${
+              model.benchmark ? ` ${formatBenchmarkResult(model.benchmark)}` : ""
+            }${hostText} | ${this.koen("엔드포인트", "endpoint")}: ${model.endpoint} | ${this.koen("기능", "capabilities")}: ${formatCapabilities(model.capabilities)}${
               model.contextLength ? ` | ${this.koen("컨텍스트", "context")}: ${model.contextLength}` : ""
+            }${detailText}${
+              model.compatibilityRule ? ` | ${this.koen("규칙", "rule")}: ${model.compatibilityRule}` : ""
             } | ${this.koen("출처", "source")}: ${sanitizeString(model.discoverySource, "unknown")} | ${this.koen("상태", "status")}: ${formatCompatibilityStatus(model)}`
           );
 
@@ -1478,12 +4474,69 @@ class LocalGateSettingTab extends PluginSettingTab {
                 this.display();
               })
           );
+          row.addButton((button) =>
+            button.setButtonText(this.koen("편집", "Edit")).onClick(() => {
+              new LocalGateModelOverrideModal(
+                this.app,
+                model,
+                this.plugin.settings.modelOverrides[model.key] || null,
+                async (draft) => {
+                  await this.plugin.saveModelOverride(model, draft);
+                  this.display();
+                }
+              ).open();
+            })
+          );
+          row.addButton((button) =>
+            button.setButtonText(this.koen("벤치마크", "Benchmark")).onClick(async () => {
+              button.setDisabled(true);
+              await this.plugin.benchmarkDiscoveredModels([model]);
+              this.display();
+            })
+          );
+          row.addButton((button) =>
+            button.setButtonText(this.koen("검증", "Probe")).onClick(async () => {
+              button.setDisabled(true);
+              await this.plugin.probeDiscoveredModels([model]);
+              this.display();
+            })
+          );
+          if (loadedInfo !== undefined) {
+            row.addButton((button) =>
+              button
+                .setButtonText(loadedInfo ? this.koen("언로드", "Unload") : this.koen("지금 로드", "Load now"))
+                .onClick(async () => {
+                  button.setDisabled(true);
+                  await this.plugin.setOllamaModelLoaded(model, !loadedInfo);
+                  this.display();
+                })
+            );
+          }
           row.addButton((button) =>
             button.setButtonText(this.koen("숨김", "Hide")).onClick(async () => {
               await this.plugin.hideDiscoveredModel(model.key);
               this.display();
             })
           );
+          if (providerKind(model.provider) === "ollama") {
+            row.addButton((button) =>
+              button
+                .setButtonText(this.koen("삭제", "Delete"))
+                .setWarning()
+                .onClick(() => {
+                  new LocalGateConfirmModal(
+                    this.app,
+                    "Delete Ollama Model",
+                    `Delete ${model.model} from ${providerLabel(model.provider, this.plugin.settings)}? This removes the model files from disk.`,
+                    "Delete",
+                    async () => {
+                      await this.plugin.deleteOllamaModel(model);
+                      this.display();
+                    }
+                  ).open();
+                })
+            );
+          }
         } else {
           row.addButton((button) =>
             button.setButtonText(this.koen("숨김해제", "Unhide")).onClick(async () => {
@@ -1570,10 +4623,19 @@ class LocalGateSettingTab extends PluginSettingTab {
 class LocalGatePlugin extends Plugin {
   async onload() {
     await this.loadSettings();
+    await this.loadAgentClientBase();
+    await this.captureAgentClientOriginals();
     await this.ensureBuiltinAgentsHealthy();
     this.__localGateModelSyncState = {};
     this.__localGateModelSyncInFlight = false;
     this.__localGateModelSyncTimer = null;
+    this.__localGateOllamaPsByProvider = {};
+    this.__localGateHealth = {};
+    this.__localGateHealthCheckedAt = 0;
+    this.__localGateHealthInFlight = false;
+    this.__localGateSystemPromptNotes = {};
+    this.__localGateSystemPromptSessions = new WeakMap();
+    this.__localGateNoteProfileWarnings = new Set();
     this.__contextPackInputSnapshots = new WeakMap();
 
     this.addCommand({
@@ -1598,6 +4660,30 @@ class LocalGatePlugin extends Plugin {
       },
     });
 
+    this.addCommand({
+      id: "local-gate-probe-model-capabilities",
+      name: "Local Gate: Probe Model Capabilities",
+      callback: async () => {
+        await this.probeDiscoveredModels();
+      },
+    });
+
+    this.addCommand({
+      id: "local-gate-benchmark-ready-models",
+      name: "Local Gate: Benchmark All Ready Models",
+      callback: async () => {
+        await this.benchmarkDiscoveredModels();
+      },
+    });
+
+    this.addCommand({
+      id: "local-gate-pull-ollama-model",
+      name: "Local Gate: Pull Ollama Model",
+      callback: () => {
+        new LocalGateOllamaPullModal(this.app, this).open();
+      },
+    });
+
     this.addCommand({
       id: "local-gate-sync-agent-client-models",
       name: "Local Gate: Sync Models to Agent Client",
@@ -1606,6 +4692,44 @@ class LocalGatePlugin extends Plugin {
       },
     });
 
+    this.addCommand({
+      id: "local-gate-preview-agent-client-sync",
+      name: "Local Gate: Preview Sync to Agent Client",
+      callback: async () => {
+        await this.previewAgentClientSync();
+      },
+    });
+
+    this.addCommand({
+      id: "local-gate-restore-agent-client-settings",
+      name: "Local Gate: Restore Agent Client Settings",
+      callback: async () => {
+        await this.openAgentClientRestore();
+      },
+    });
+
+    this.addCommand({
+      id: "local-gate-clean-up-agent-client",
+      name: "Local Gate: Clean Up Agent Client Settings",
+      callback: async () => {
+        await this.offerAgentClientCleanup();
+      },
+    });
+
+    this.addCommand({
+      id: "local-gate-export-settings",
+      name: "Local Gate: Export Settings",
+      callback: async () => {
+        await this.exportSettingsBundle();
+      },
+    });
+
+    this.addCommand({
+      id: "local-gate-import-settings",
+      name: "Local Gate: Import Settings",
+      callback: () => this.openSettingsImport(),
+    });
+
     this.addCommand({
       id: "local-gate-copy-folder-mentions",
       name: "Local Gate: Create Folder Context Pack",
@@ -1664,12 +4788,55 @@ class LocalGatePlugin extends Plugin {
     this.addSettingTab(new LocalGateSettingTab(this.app, this));
     this.bindGlobalContextPackHooks();
 
+    this.__localGateStatusBarEl = this.addStatusBarItem();
+    this.__localGateStatusBarEl.addClass("local-gate-status");
+    this.__localGateStatusBarEl.addEventListener("click", () => this.openProfileSwitcher());
+    this.renderHealthStatus();
+    this.registerInterval(
+      window.setInterval(() => {
+        this.tickHealthMonitor();
+      }, 5000)
+    );
+
+    this.registerEvent(
+      this.app.workspace.on("file-open", (file) => {
+        this.handleActiveNoteChange(file).catch(() => {});
+      })
+    );
+
+    this.registerEvent(
+      this.app.vault.on("raw", (changedPath) => {
+        this.handleAgentClientSettingsFileChange(changedPath).catch(() => {});
+      })
+    );
+
+    this.registerEvent(
+      this.app.vault.on("modify", (file) => {
+        if (this.settings.profiles.some((profile) => profile.systemPromptNote === file.path)) {
+          this.refreshSystemPromptNotes().catch(() => {});
+        }
+      })
+    );
+
+    this.registerEvent(
+      this.app.vault.on("rename", (file, oldPath) => {
+        this.handleSystemPromptNoteMoved(oldPath, file.path).catch(() => {});
+      })
+    );
+
+    this.registerEvent(
+      this.app.vault.on("delete", (file) => {
+        this.handleSystemPromptNoteMoved(file.path, "").catch(() => {});
+      })
+    );
+
     this.app.workspace.onLayoutReady(async () => {
+      this.refreshSystemPromptNotes().catch(() => {});
       if (this.settings.publishProfilesToAgentClient) {
         await this.syncProfilesToAgentClientAgents(true);
       }
       if (this.settings.scanOnStartup) {
-        await this.scanAndStoreModels({ silent: true });
+        this.scanAndStoreModels({ silent: true }).catch((error) => this.recordScanFailure(error));
       }
       this.patchAgentClientModelPicker();
       this.patchAgentClientModelSelectionHooks();
@@ -1689,9 +4856,62 @@ class LocalGatePlugin extends Plugin {
     );
   }
 
+  onunload() {
+    this.stopManagedOllama();
+    const enabledPlugins = this.app.plugins && this.app.plugins.enabledPlugins;
+    if (enabledPlugins && typeof enabledPlugins.has === "function" && !enabledPlugins.has(this.manifest.id)) {
+      this.offerAgentClientCleanup(true).catch(() => {});
+    }
+  }
+
+  async migrateSettingsData(rawData) {
+    if (!isPlainObject(rawData) || Object.keys(rawData).length === 0) {
+      return { schemaVersion: SETTINGS_SCHEMA_VERSION };
+    }
+    let data = clone(rawData);
+    const fromVersion = Number(data.schemaVersion) || 0;
+    if (fromVersion > SETTINGS_SCHEMA_VERSION) {
+      throw new Error(
+        `settings schema v${fromVersion} is newer than this plugin supports (v${SETTINGS_SCHEMA_VERSION}); update Local Gate`
+      );
+    }
+    const pending = SETTINGS_MIGRATIONS.filter((migration) => migration.version > fromVersion);
+    for (const migration of pending) {
+      const backupPath = normalizePath(
+        `${this.manifest.dir}/data.backup-v${Number(data.schemaVersion) || 0}-${new Date().toISOString().replace(/[:.]/g, "-")}.json`
+      );
+      try {
+        await this.app.vault.adapter.write(backupPath, `${JSON.stringify(data, null, 2)}\n`);
+      } catch (error) {
+        throw new Error(`could not back up settings before migration v${migration.version} (${error.message})`);
+      }
+      try {
+        data = migration.migrate(clone(data)) || data;
+      } catch (error) {
+        throw new Error(
+          `migration v${migration.version} (${migration.description}) failed: ${error.message}. Pre-migration data is in ${backupPath}`
+        );
+      }
+      data.schemaVersion = migration.version;
+    }
+    if (pending.length > 0) {
+      await this.saveData(data);
+    }
+    return data;
+  }
+
   async loadSettings() {
     const defaults = defaultSettings();
-    const loaded = (await this.loadData()) || {};
+    const rawData = (await this.loadData()) || {};
+    this.__localGateFreshInstall = !isPlainObject(rawData) || Object.keys(rawData).length === 0;
+    let loaded = rawData;
+    this.__localGateMigrationError = "";
+    try {
+      loaded = await this.migrateSettingsData(rawData);
+    } catch (error) {
+      this.__localGateMigrationError = sanitizeString(error && error.message, String(error));
+      new Notice(`Local Gate: settings migration failed. Changes will not be saved until resolved.\n${this.__localGateMigrationError}`, 0);
+    }
     const allowNonTools =
       typeof loaded.allowNonToolsChatModels === "boolean"
         ? loaded.allowNonToolsChatModels
@@ -1705,6 +4925,7 @@ class LocalGatePlugin extends Plugin {
     const contextPacks = normalizeContextPacks(loaded.contextPacks);
 
     this.settings = {
+      schemaVersion: Math.min(Number(loaded.schemaVersion) || 0, SETTINGS_SCHEMA_VERSION),
       agentClientSettingsPath: sanitizeString(loaded.agentClientSettingsPath, defaults.agentClientSettingsPath),
       codexAcpCommand: sanitizeString(
         loaded.codexAcpCommand,
@@ -1722,8 +4943,15 @@ class LocalGatePlugin extends Plugin {
         typeof loaded.enableLmStudioScan === "boolean"
           ? loaded.enableLmStudioScan
           : defaults.enableLmStudioScan,
+      enableLlamaCppScan:
+        typeof loaded.enableLlamaCppScan === "boolean"
+          ? loaded.enableLlamaCppScan
+          : defaults.enableLlamaCppScan,
       ollamaBaseUrl: normalizeOllamaBaseUrl(loaded.ollamaBaseUrl || defaults.ollamaBaseUrl),
       lmStudioBaseUrl: normalizeLmStudioBaseUrl(loaded.lmStudioBaseUrl || defaults.lmStudioBaseUrl),
+      llamaCppBaseUrl: normalizeLlamaCppBaseUrl(loaded.llamaCppBaseUrl || defaults.llamaCppBaseUrl),
+      ollamaHosts: normalizeOllamaHosts(loaded.ollamaHosts),
+      customEndpoints: normalizeCustomEndpoints(loaded.customEndpoints),
       publishProfilesToAgentClient:
         typeof loaded.publishProfilesToAgentClient === "boolean"
           ? loaded.publishProfilesToAgentClient
@@ -1745,6 +4973,26 @@ class LocalGatePlugin extends Plugin {
         typeof loaded.showHiddenDiscoveredModels === "boolean"
           ? loaded.showHiddenDiscoveredModels
           : defaults.showHiddenDiscoveredModels,
+      ollamaShowCache: normalizeOllamaShowCache(loaded.ollamaShowCache),
+      enableHealthMonitor:
+        typeof loaded.enableHealthMonitor === "boolean" ? loaded.enableHealthMonitor : defaults.enableHealthMonitor,
+      healthCheckIntervalSec: Math.max(10, Number(loaded.healthCheckIntervalSec) || defaults.healthCheckIntervalSec),
+      notifyScanChanges:
+        typeof loaded.notifyScanChanges === "boolean" ? loaded.notifyScanChanges : defaults.notifyScanChanges,
+      autoStartOllama: typeof loaded.autoStartOllama === "boolean" ? loaded.autoStartOllama : defaults.autoStartOllama,
+      compatibilityRules: normalizeCompatibilityRules(loaded.compatibilityRules),
+      modelOverrides: normalizeModelOverrides(loaded.modelOverrides),
+      autoSwitchProfileByNote:
+        typeof loaded.autoSwitchProfileByNote === "boolean"
+          ? loaded.autoSwitchProfileByNote
+          : defaults.autoSwitchProfileByNote,
+      folderProfileMappings: normalizeFolderProfileMappings(loaded.folderProfileMappings),
+      scanHistory: normalizeScanHistory(loaded.scanHistory),
+      orphanedProfileIds: sanitizeStringArray(loaded.orphanedProfileIds),
+      agentClientOriginals: sanitizeAgentClientOriginals(loaded.agentClientOriginals),
+      discoveredModelSort: DISCOVERED_SORT_OPTIONS.includes(loaded.discoveredModelSort)
+        ? loaded.discoveredModelSort
+        : defaults.discoveredModelSort,
       hiddenDiscoveredModelKeys: sanitizeStringArray(loaded.hiddenDiscoveredModelKeys),
       contextPackTopK: Math.max(1, Math.min(30, Number(loaded.contextPackTopK) || defaults.contextPackTopK)),
       contextPackMaxItems: Math.max(20, Math.min(800, Number(loaded.contextPackMaxItems) || defaults.contextPackMaxItems)),
@@ -1768,6 +5016,10 @@ class LocalGatePlugin extends Plugin {
         typeof loaded.suppressThinkingSignals === "boolean"
           ? loaded.suppressThinkingSignals
           : defaults.suppressThinkingSignals,
+      logInjectedSystemPrompt:
+        typeof loaded.logInjectedSystemPrompt === "boolean"
+          ? loaded.logInjectedSystemPrompt
+          : defaults.logInjectedSystemPrompt,
       uiLanguage:
         sanitizeString(loaded.uiLanguage, defaults.uiLanguage).toLowerCase() === "en"
           ? "en"
@@ -1793,39 +5045,21 @@ class LocalGatePlugin extends Plugin {
       });
     }
 
-    this.settings.profiles = this.settings.profiles
-      .map((profile, index) => {
-        const migrated = { ...profile };
-        if (migrated.provider === "local") {
-          if (String(migrated.name || "").toLowerCase().includes("lm studio")) {
-            migrated.provider = "lmstudio";
-          } else {
-            migrated.provider = "ollama";
-          }
-        }
-        if (!sanitizeString(migrated.endpoint, "")) {
-          migrated.endpoint =
-            migrated.provider === "lmstudio"
-              ? toOpenAiEndpoint("lmstudio", this.settings.lmStudioBaseUrl)
-              : toOpenAiEndpoint("ollama", this.settings.ollamaBaseUrl);
-        }
-        migrated.command = sanitizeString(migrated.command, this.settings.codexAcpCommand || "codex-acp");
-        migrated.capabilities = inferModelCapabilities(
-          migrated.provider,
-          migrated.name,
-          sanitizeStringArray(migrated.capabilities)
-        );
-        return sanitizeProfile(migrated, index, {
-          allowNonToolsChatModels: this.settings.allowNonToolsChatModels,
-        });
-      })
-      .filter((profile) => !(profile.id === "lmstudio-default" || profile.id === "lmstudio-local-model"));
+    const compatibility = this.compatibilityOptions();
+    this.settings.profiles = this.settings.profiles.map((profile, index) => {
+      const filled = { ...profile };
+      if (!sanitizeString(filled.endpoint, "")) {
+        filled.endpoint =
+          this.getProviderEndpoint(filled.provider, null) || toOpenAiEndpoint("ollama", this.settings.ollamaBaseUrl);
+      }
+      filled.command = sanitizeString(filled.command, this.settings.codexAcpCommand || "codex-acp");
+      filled.capabilities = inferModelCapabilities(filled.provider, filled.name, sanitizeStringArray(filled.capabilities));
+      return sanitizeProfile(filled, index, compatibility);
+    });
 
     if (this.settings.profiles.length === 0) {
       this.settings.profiles = defaultProfiles().map((entry, index) =>
-        sanitizeProfile(entry, index, {
-          allowNonToolsChatModels: this.settings.allowNonToolsChatModels,
-        })
+        sanitizeProfile(entry, index, compatibility)
       );
     }
     if (!this.settings.profiles.find((profile) => profile.id === this.settings.lastProfileId)) {
@@ -1842,25 +5076,232 @@ class LocalGatePlugin extends Plugin {
     const discoveredKeys = new Set(this.settings.discoveredModels.map((model) => model.key));
     this.settings.hiddenDiscoveredModelKeys = this.settings.hiddenDiscoveredModelKeys.filter((key) => discoveredKeys.has(key));
     this.settings.contextPacks = normalizeContextPacks(this.settings.contextPacks);
+    this.recomputeCompatibilityFlags();
   }
 
   async saveSettings() {
-    await this.saveData(this.settings);
+    if (!this.__localGateMigrationError) {
+      await this.saveData(this.settings);
+    }
+    this.renderHealthStatus();
+  }
+
+  compatibilityOptions() {
+    const probes = {};
+    const contextLengths = {};
+    (this.settings.discoveredModels || []).forEach((model) => {
+      const modelKey = `${model.provider}:${model.model}`;
+      if (model.probe) {
+        probes[modelKey] = model.probe;
+      }
+      if (model.contextLength) {
+        contextLengths[modelKey] = model.contextLength;
+      }
+    });
+    const capabilityOverrides = {};
+    Object.entries(this.settings.modelOverrides || {}).forEach(([modelKey, override]) => {
+      if (override.capabilities.length > 0) {
+        capabilityOverrides[modelKey] = override.capabilities;
+      }
+      if (override.contextLength) {
+        contextLengths[modelKey] = override.contextLength;
+      }
+    });
+    return {
+      allowNonToolsChatModels: this.settings.allowNonToolsChatModels,
+      rules: this.settings.compatibilityRules || [],
+      probes,
+      contextLengths,
+      capabilityOverrides,
+    };
+  }
+
+  async exportSettingsBundle() {
+    const bundle = buildSettingsBundle(this.settings);
+    const path = normalizePath(`local-gate-settings-${bundle.exportedAt.slice(0, 10)}.json`);
+    try {
+      await this.app.vault.adapter.write(path, `${JSON.stringify(bundle, null, 2)}\n`);
+      new Notice(`Local Gate: exported settings to ${path}.`);
+    } catch (error) {
+      new Notice(`Local Gate: export failed (${error.message}).`);
+    }
+  }
+
+  openSettingsImport() {
+    const paths = this.app.vault
+      .getFiles()
+      .filter((file) => file.extension === "json")
+      .map((file) => file.path)
+      .sort();
+    if (paths.length === 0) {
+      new Notice("Local Gate: no JSON files found in the vault.");
+      return;
+    }
+    new LocalGateJsonFileSuggestModal(this.app, paths, async (path) => {
+      let bundle = null;
+      try {
+        bundle = parseSettingsBundle(await this.app.vault.adapter.read(path));
+      } catch (error) {
+        new Notice(`Local Gate: cannot import ${path} (${error.message}).`);
+        return;
+      }
+      const plan = this.planSettingsImport(bundle);
+      new LocalGateSettingsImportModal(this.app, path, plan, async () => {
+        await this.applySettingsImport(plan);
+      }).open();
+    }).open();
+  }
+
+  planSettingsImport(bundle) {
+    const incoming = { ...bundle.settings };
+    const importedProfiles = Array.isArray(incoming.profiles) && incoming.profiles.length > 0
+      ? normalizeProfiles(incoming.profiles, this.compatibilityOptions())
+      : [];
+    delete incoming.profiles;
+    const currentById = new Map(this.settings.profiles.map((profile) => [profile.id, profile]));
+    const addedProfiles = [];
+    const replacedProfiles = [];
+    importedProfiles.forEach((profile) => {
+      const current = currentById.get(profile.id);
+      if (!current) {
+        addedProfiles.push(profile);
+      } else if (JSON.stringify(toBundleProfile(current)) !== JSON.stringify(toBundleProfile(profile))) {
+        replacedProfiles.push(profile);
+      }
+    });
+    const current = buildSettingsBundle(this.settings).settings;
+    const changedKeys = Object.keys(incoming).filter(
+      (key) => JSON.stringify(incoming[key]) !== JSON.stringify(current[key])
+    );
+    return {
+      version: bundle.version,
+      exportedAt: bundle.exportedAt,
+      values: incoming,
+      addedProfiles,
+      replacedProfiles,
+      changedKeys,
+      hasChanges: addedProfiles.length + replacedProfiles.length + changedKeys.length > 0,
+    };
+  }
+
+  async applySettingsImport(plan) {
+    if (this.__localGateMigrationError) {
+      new Notice("Local Gate: resolve the settings migration error before importing.");
+      return;
+    }
+    const next = clone(this.settings);
+    plan.changedKeys.forEach((key) => {
+      next[key] = clone(plan.values[key]);
+    });
+    if (plan.changedKeys.includes("customEndpoints") && Array.isArray(next.customEndpoints)) {
+      const localHeaders = new Map(this.settings.customEndpoints.map((endpoint) => [endpoint.id, endpoint.headers]));
+      next.customEndpoints = next.customEndpoints.map((endpoint) => ({
+        ...endpoint,
+        headers: { ...(isPlainObject(endpoint && endpoint.headers) ? endpoint.headers : {}), ...(localHeaders.get(endpoint && endpoint.id) || {}) },
+      }));
+    }
+    [...plan.replacedProfiles, ...plan.addedProfiles].forEach((profile) => {
+      const index = next.profiles.findIndex((entry) => entry.id === profile.id);
+      const local = index >= 0 ? next.profiles[index] : null;
+      const localEnv = local ? sanitizeStringArray(local.env).filter((entry) => isMachineLocalEnvEntry(entry)) : [];
+      const merged = {
+        ...clone(profile),
+        args: local ? sanitizeStringArray(local.args) : [],
+        env: [...localEnv, ...sanitizeStringArray(profile.env)],
+      };
+      if (index >= 0) {
+        next.profiles[index] = merged;
+      } else {
+        next.profiles.push(merged);
+      }
+    });
+    await this.saveData(next);
+    await this.loadSettings();
+    await this.saveSettings();
+    await this.refreshSystemPromptNotes();
+    if (this.settings.publishProfilesToAgentClient) {
+      await this.syncProfilesToAgentClientAgents(true);
+    }
+    new Notice(
+      `Local Gate: imported settings (${plan.addedProfiles.length} added, ${plan.replacedProfiles.length} replaced, ${plan.changedKeys.length} settings changed).`
+    );
+  }
+
+  async saveModelOverride(model, draft) {
+    const override = sanitizeModelOverride(draft);
+    if (override) {
+      this.settings.modelOverrides[model.key] = override;
+    } else {
+      delete this.settings.modelOverrides[model.key];
+    }
+    const position = this.settings.discoveredModels.findIndex((entry) => entry.key === model.key);
+    const restored = position >= 0 && !override && Boolean(this.settings.discoveredModels[position].detected);
+    if (position >= 0) {
+      const current = this.settings.discoveredModels[position];
+      this.settings.discoveredModels[position] = override
+        ? applyModelOverride(current, override)
+        : clearModelOverride(current);
+    }
+    this.recomputeCompatibilityFlags();
+    await this.saveSettings();
+    new Notice(
+      override
+        ? `Local Gate: pinned overrides for ${model.model}.`
+        : restored
+          ? `Local Gate: cleared overrides for ${model.model} and restored detected values.`
+          : `Local Gate: cleared overrides for ${model.model}. Rescan to restore detected values.`
+    );
+  }
+
+  async saveCompatibilityRule(draft, previousId = "") {
+    const rules = this.settings.compatibilityRules;
+    const sanitized = sanitizeCompatibilityRule({ ...draft, id: previousId || draft.name }, rules.length);
+    const existingIndex = rules.findIndex((entry) => entry.id === previousId);
+    if (existingIndex >= 0) {
+      rules[existingIndex] = sanitized;
+    } else {
+      const taken = new Set(rules.map((entry) => entry.id));
+      let suffix = 2;
+      const baseId = sanitized.id;
+      while (taken.has(sanitized.id)) {
+        sanitized.id = `${baseId}-${suffix}`;
+        suffix += 1;
+      }
+      rules.push(sanitized);
+    }
+    this.recomputeCompatibilityFlags();
+    await this.saveSettings();
+  }
+
+  async removeCompatibilityRule(ruleId) {
+    this.settings.compatibilityRules = this.settings.compatibilityRules.filter((entry) => entry.id !== ruleId);
+    this.recomputeCompatibilityFlags();
+    await this.saveSettings();
+  }
+
+  async moveCompatibilityRule(ruleId, offset) {
+    const rules = this.settings.compatibilityRules;
+    const index = rules.findIndex((entry) => entry.id === ruleId);
+    const target = index + offset;
+    if (index < 0 || target < 0 || target >= rules.length) {
+      return;
+    }
+    const [rule] = rules.splice(index, 1);
+    rules.splice(target, 0, rule);
+    this.recomputeCompatibilityFlags();
+    await this.saveSettings();
   }
 
   recomputeCompatibilityFlags() {
+    const compatibility = this.compatibilityOptions();
     this.settings.profiles = this.settings.profiles
       .map((profile, index) =>
-        sanitizeProfile(profile, index, {
-          allowNonToolsChatModels: this.settings.allowNonToolsChatModels,
-        })
+        sanitizeProfile(profile, index, compatibility)
       )
       .filter((profile) => profile.id !== "lmstudio-default" && profile.id !== "lmstudio-local-model");
 
     this.settings.discoveredModels = this.settings.discoveredModels.map((entry, index) =>
-      sanitizeDiscoveredModel(entry, index, {
-        allowNonToolsChatModels: this.settings.allowNonToolsChatModels,
-      })
+      sanitizeDiscoveredModel(entry, index, compatibility)
     );
   }
 
@@ -3185,25 +6626,157 @@ class LocalGatePlugin extends Plugin {
     new LocalGateMultiMentionModal(this.app, this).open();
   }
 
+  getHealthCheckProviders() {
+    const enabled = this.getConfiguredProviders().filter((provider) => {
+      const kind = providerKind(provider);
+      if (kind === "ollama") {
+        return this.settings.enableOllamaScan;
+      }
+      if (kind === "lmstudio") {
+        return this.settings.enableLmStudioScan;
+      }
+      if (kind === "llamacpp") {
+        return this.settings.enableLlamaCppScan;
+      }
+      return true;
+    });
+    const active = this.getProfileById(this.settings.lastProfileId);
+    if (active && !enabled.includes(active.provider)) {
+      enabled.push(active.provider);
+    }
+    return enabled;
+  }
+
+  tickHealthMonitor() {
+    if (!this.settings.enableHealthMonitor || this.__localGateHealthInFlight) {
+      return;
+    }
+    if (Date.now() - this.__localGateHealthCheckedAt < this.settings.healthCheckIntervalSec * 1000) {
+      return;
+    }
+    this.runHealthCheck().catch(() => {});
+  }
+
+  async checkProviderHealth(provider) {
+    const endpoint = this.getProviderEndpoint(provider, null);
+    const custom = findCustomEndpoint(this.settings, provider);
+    const startedAt = Date.now();
+    try {
+      const response = await withTimeout(
+        requestUrl({
+          url: `${ensureNoTrailingSlash(endpoint)}/models`,
+          method: "GET",
+          headers: custom ? custom.headers : {},
+          throw: false,
+        }),
+        HEALTH_CHECK_TIMEOUT_MS,
+        "health check"
+      );
+      if (response.status >= 400) {
+        return { up: false, latencyMs: Date.now() - startedAt, models: [], detail: `HTTP ${response.status}` };
+      }
+      const data = response.json && Array.isArray(response.json.data) ? response.json.data : [];
+      return {
+        up: true,
+        latencyMs: Date.now() - startedAt,
+        models: data.map((entry) => sanitizeString(entry && entry.id, "")).filter(Boolean),
+        detail: "",
+      };
+    } catch (error) {
+      return { up: false, latencyMs: Date.now() - startedAt, models: [], detail: error.message };
+    }
+  }
+
+  async runHealthCheck() {
+    if (this.__localGateHealthInFlight) {
+      return;
+    }
+    this.__localGateHealthInFlight = true;
+    try {
+      const providers = this.getHealthCheckProviders();
+      const selected = new Set(Object.keys(this.settings.activeProfileByProvider));
+      const active = this.getProfileById(this.settings.lastProfileId);
+      if (active) {
+        selected.add(active.provider);
+      }
+      for (const provider of providers) {
+        const previous = this.__localGateHealth[provider];
+        const next = await this.checkProviderHealth(provider);
+        this.__localGateHealth[provider] = next;
+        if (previous && previous.up !== next.up && selected.has(provider)) {
+          const label = providerAgentDisplayName(provider, this.settings);
+          new Notice(
+            next.up
+              ? `Local Gate: ${label} is back online.`
+              : `Local Gate: ${label} is unreachable${next.detail ? ` (${next.detail})` : ""}.`
+          );
+        }
+      }
+    } finally {
+      this.__localGateHealthCheckedAt = Date.now();
+      this.__localGateHealthInFlight = false;
+      this.renderHealthStatus();
+    }
+  }
+
+  renderHealthStatus() {
+    const el = this.__localGateStatusBarEl;
+    if (!el) {
+      return;
+    }
+    el.empty();
+    if (!this.settings.enableHealthMonitor) {
+      el.hide();
+      return;
+    }
+    el.show();
+    const profile = this.getProfileById(this.settings.lastProfileId);
+    const health = profile ? (this.__localGateHealth || {})[profile.provider] : null;
+    let state = "unknown";
+    let reason = "not checked yet";
+    if (health && !health.up) {
+      state = "down";
+      reason = health.detail || "unreachable";
+    } else if (health && health.latencyMs > HEALTH_SLOW_THRESHOLD_MS) {
+      state = "degraded";
+      reason = `slow response (${health.latencyMs} ms)`;
+    } else if (health && profile && health.models.length > 0 && !health.models.includes(profile.model)) {
+      state = "degraded";
+      reason = `${profile.model} not listed by provider`;
+    } else if (health) {
+      state = "up";
+      reason = `ok (${health.latencyMs} ms)`;
+    }
+    el.createSpan({ cls: `local-gate-health-dot is-${state}` });
+    el.createSpan({
+      text: profile ? `${providerLabel(profile.provider, this.settings)}: ${profile.model}` : "Local Gate",
+    });
+    el.setAttr("aria-label", `Local Gate: ${reason}. Click to switch profile.`);
+  }
+
   openProfileSwitcher() {
     if (!Array.isArray(this.settings.profiles) || this.settings.profiles.length === 0) {
       new Notice("Local Gate: no saved profile.");
       return;
     }
+    const compatibility = this.compatibilityOptions();
     const compatibleProfiles = this.settings.profiles
       .map((profile, index) =>
-        sanitizeProfile(profile, index, {
-          allowNonToolsChatModels: this.settings.allowNonToolsChatModels,
-        })
+        sanitizeProfile(profile, index, compatibility)
       )
       .filter((profile) => profile.compatible);
     if (compatibleProfiles.length === 0) {
       new Notice("Local Gate: no compatible profile to apply.");
       return;
     }
-    new ProfileSuggestModal(this.app, compatibleProfiles, async (profile) => {
-      await this.applyProfile(profile);
-    }).open();
+    new ProfileSuggestModal(
+      this.app,
+      compatibleProfiles,
+      async (profile) => {
+        await this.applyProfile(profile);
+      },
+      this.settings
+    ).open();
   }
 
   getProfileById(profileId) {
@@ -3256,20 +6829,312 @@ class LocalGatePlugin extends Plugin {
       };
     }
 
-    return {
-      command: codexCommand,
-      argsPrefix: [],
-      nodePath: pathExists(nodeCommand) ? nodeCommand : "",
-      codexPath: codexCommand,
-    };
+    return {
+      command: codexCommand,
+      argsPrefix: [],
+      nodePath: pathExists(nodeCommand) ? nodeCommand : "",
+      codexPath: codexCommand,
+    };
+  }
+
+  toProviderAgentId(provider) {
+    return `local-gate-provider-${slugify(provider) || "local"}`;
+  }
+
+  toProfileAgentId(profileId) {
+    const id = sanitizeString(profileId, "");
+    const slug = slugify(id) || "profile";
+    return `local-gate-profile-${slug === id || !id ? slug : `${slug}-${hashText(id).slice(0, 8)}`}`;
+  }
+
+  findProfileByAgentId(agentId) {
+    const id = sanitizeString(agentId, "").toLowerCase();
+    if (!id.startsWith("local-gate-profile-")) {
+      return null;
+    }
+    return this.settings.profiles.find((profile) => profile.publishAsAgent && this.toProfileAgentId(profile.id) === id) || null;
+  }
+
+  getConfiguredProviders() {
+    const hosts = this.settings.ollamaHosts
+      .filter((entry) => entry.enabled)
+      .map((entry) => toOllamaHostProviderKey(entry.id));
+    const custom = this.settings.customEndpoints
+      .filter((entry) => entry.enabled)
+      .map((entry) => toCustomProviderKey(entry.id));
+    return [...SUPPORTED_PROVIDERS, ...hosts, ...custom];
+  }
+
+  getOllamaHostTargets() {
+    const primary = {
+      provider: "ollama",
+      label: "",
+      baseUrl: normalizeOllamaBaseUrl(this.settings.ollamaBaseUrl),
+      primary: true,
+    };
+    const extra = this.settings.ollamaHosts
+      .filter((entry) => entry.enabled)
+      .map((entry) => ({
+        provider: toOllamaHostProviderKey(entry.id),
+        label: entry.label,
+        baseUrl: entry.baseUrl,
+        primary: false,
+      }));
+    return [primary, ...extra];
+  }
+
+  getOllamaApiBase(provider) {
+    const host = findOllamaHost(this.settings, provider);
+    return normalizeOllamaBaseUrl(host ? host.baseUrl : this.settings.ollamaBaseUrl);
+  }
+
+  getOllamaLoadedInfo(model) {
+    const state = (this.__localGateOllamaPsByProvider || {})[model.provider];
+    if (!state) {
+      return undefined;
+    }
+    return state[model.model] || null;
+  }
+
+  async fetchOllamaPs(provider) {
+    const apiBase = this.getOllamaApiBase(provider);
+    try {
+      const response = await requestUrl({
+        url: `${apiBase}/api/ps`,
+        method: "GET",
+        throw: false,
+      });
+      if (response.status >= 400) {
+        return false;
+      }
+      if (!this.__localGateOllamaPsByProvider) {
+        this.__localGateOllamaPsByProvider = {};
+      }
+      this.__localGateOllamaPsByProvider[provider] = parseOllamaPsPayload(response.json);
+      return true;
+    } catch (_error) {
+      delete (this.__localGateOllamaPsByProvider || {})[provider];
+      return false;
+    }
+  }
+
+  async refreshOllamaLoadedState() {
+    for (const target of this.getOllamaHostTargets()) {
+      await this.fetchOllamaPs(target.provider);
+    }
+  }
+
+  async setOllamaModelLoaded(model, loaded) {
+    const apiBase = this.getOllamaApiBase(model.provider);
+    const payload = { model: model.model, keep_alive: loaded ? OLLAMA_WARM_KEEP_ALIVE : 0 };
+    try {
+      const response = await requestUrl({
+        url: `${apiBase}/api/generate`,
+        method: "POST",
+        contentType: "application/json",
+        body: JSON.stringify(payload),
+        throw: false,
+      });
+      if (response.status >= 400) {
+        new Notice(`Local Gate: ${loaded ? "load" : "unload"} failed (HTTP ${response.status}).`);
+      } else {
+        new Notice(`Local Gate: ${loaded ? "loaded" : "unloaded"} ${model.model}.`);
+      }
+    } catch (error) {
+      new Notice(`Local Gate: ${loaded ? "load" : "unload"} failed (${error.message}).`);
+    }
+    await this.fetchOllamaPs(model.provider);
+  }
+
+  pullOllamaModel(provider, tag, onProgress) {
+    const apiBase = this.getOllamaApiBase(provider);
+    let streamError = "";
+    const stream = streamJsonLines(`${apiBase}/api/pull`, { model: tag, stream: true }, (event) => {
+      if (event && event.error) {
+        streamError = sanitizeString(event.error, "pull failed");
+        return;
+      }
+      onProgress(event);
+    });
+    return {
+      cancel: stream.cancel,
+      done: stream.done.then(() => {
+        if (streamError) {
+          throw new Error(streamError);
+        }
+      }),
+    };
+  }
+
+  async deleteOllamaModel(model) {
+    const apiBase = this.getOllamaApiBase(model.provider);
+    try {
+      const response = await requestUrl({
+        url: `${apiBase}/api/delete`,
+        method: "DELETE",
+        contentType: "application/json",
+        body: JSON.stringify({ model: model.model, name: model.model }),
+        throw: false,
+      });
+      if (response.status >= 400) {
+        new Notice(`Local Gate: delete failed (HTTP ${response.status}).`);
+        return;
+      }
+    } catch (error) {
+      new Notice(`Local Gate: delete failed (${error.message}).`);
+      return;
+    }
+    this.settings.discoveredModels = this.settings.discoveredModels.filter((entry) => entry.key !== model.key);
+    this.settings.hiddenDiscoveredModelKeys = this.settings.hiddenDiscoveredModelKeys.filter((key) => key !== model.key);
+    await this.saveSettings();
+    new Notice(`Local Gate: deleted ${model.model}.`);
+  }
+
+  async saveOllamaHost(draft, previousId = "") {
+    const sanitized = sanitizeOllamaHost({ ...draft, id: previousId || draft.label }, this.settings.ollamaHosts.length);
+    const existingIndex = this.settings.ollamaHosts.findIndex((entry) => entry.id === previousId);
+    if (existingIndex >= 0) {
+      this.settings.ollamaHosts[existingIndex] = sanitized;
+    } else {
+      const taken = new Set(this.settings.ollamaHosts.map((entry) => entry.id));
+      let suffix = 2;
+      const baseId = sanitized.id;
+      while (taken.has(sanitized.id)) {
+        sanitized.id = `${baseId}-${suffix}`;
+        suffix += 1;
+      }
+      this.settings.ollamaHosts.push(sanitized);
+    }
+    await this.saveSettings();
+    new Notice(`Local Gate: saved Ollama host (${sanitized.label}). Scan to discover its models.`);
+  }
+
+  async removeOllamaHost(hostId) {
+    const provider = toOllamaHostProviderKey(hostId);
+    this.settings.ollamaHosts = this.settings.ollamaHosts.filter((entry) => entry.id !== hostId);
+    Object.entries(this.settings.ollamaShowCache).forEach(([key, entry]) => {
+      if (entry.provider === provider) {
+        delete this.settings.ollamaShowCache[key];
+      }
+    });
+    await this.dropProviderData(provider);
+  }
+
+  async setOllamaHostEnabled(hostId, enabled) {
+    const host = this.settings.ollamaHosts.find((entry) => entry.id === hostId);
+    if (!host) {
+      return;
+    }
+    host.enabled = enabled;
+    await this.saveSettings();
+    if (this.settings.publishProfilesToAgentClient) {
+      await this.syncProfilesToAgentClientAgents(true);
+    }
+  }
+
+  providerCodexArgOptions(provider, wireApi) {
+    const custom = findCustomEndpoint(this.settings, provider);
+    return {
+      wireApi,
+      providerName: providerLabel(provider, this.settings),
+      envHttpHeaders: custom
+        ? Object.fromEntries(Object.keys(custom.headers).map((name, index) => [name, toHeaderEnvName(provider, index)]))
+        : {},
+    };
+  }
+
+  buildAgentEnv(provider, baseEnv) {
+    const custom = findCustomEndpoint(this.settings, provider);
+    const secrets = custom
+      ? Object.values(custom.headers).map((value, index) => `${toHeaderEnvName(provider, index)}=${value}`)
+      : [];
+    const headerPrefix = toHeaderEnvPrefix(provider);
+    const env = sanitizeStringArray(baseEnv).filter((entry) => !entry.startsWith(headerPrefix));
+    if (!env.some((entry) => entry.startsWith("PATH="))) {
+      env.unshift(`PATH=${buildExecPathEnv()}`);
+    }
+    return [...env, ...secrets];
+  }
+
+  async saveCustomEndpoint(draft, previousId = "") {
+    const sanitized = sanitizeCustomEndpoint(
+      { ...draft, id: previousId || draft.label },
+      this.settings.customEndpoints.length
+    );
+    const existingIndex = this.settings.customEndpoints.findIndex((entry) => entry.id === previousId);
+    if (existingIndex >= 0) {
+      this.settings.customEndpoints[existingIndex] = sanitized;
+    } else {
+      const taken = new Set(this.settings.customEndpoints.map((entry) => entry.id));
+      let suffix = 2;
+      const baseId = sanitized.id;
+      while (taken.has(sanitized.id)) {
+        sanitized.id = `${baseId}-${suffix}`;
+        suffix += 1;
+      }
+      this.settings.customEndpoints.push(sanitized);
+    }
+    await this.saveSettings();
+    new Notice(`Local Gate: saved custom endpoint (${sanitized.label}). Scan to discover its models.`);
+  }
+
+  async removeCustomEndpoint(endpointId) {
+    this.settings.customEndpoints = this.settings.customEndpoints.filter((entry) => entry.id !== endpointId);
+    await this.dropProviderData(toCustomProviderKey(endpointId));
+  }
+
+  async setCustomEndpointEnabled(endpointId, enabled) {
+    const endpoint = this.settings.customEndpoints.find((entry) => entry.id === endpointId);
+    if (!endpoint) {
+      return;
+    }
+    endpoint.enabled = enabled;
+    await this.saveSettings();
+    if (this.settings.publishProfilesToAgentClient) {
+      await this.syncProfilesToAgentClientAgents(true);
+    }
+  }
+
+  confirmProviderRemoval(provider, label, onConfirm) {
+    const profiles = this.settings.profiles.filter((profile) => profile.provider === provider);
+    const message =
+      profiles.length > 0
+        ? `Remove ${label}? These profiles will be deleted:\n\n` +
+          profiles.map((profile) => `${profile.name} (${profile.id})`).join("\n")
+        : `Remove ${label}?`;
+    new LocalGateConfirmModal(this.app, `Remove ${label}`, message, "Remove", onConfirm).open();
   }
 
-  toProviderAgentId(provider) {
-    return `local-gate-provider-${slugify(provider) || "local"}`;
+  async dropProviderData(provider) {
+    const removedProfileIds = new Set(
+      this.settings.profiles.filter((profile) => profile.provider === provider).map((profile) => profile.id)
+    );
+    this.settings.discoveredModels = this.settings.discoveredModels.filter((model) => model.provider !== provider);
+    this.settings.profiles = this.settings.profiles.filter((profile) => !removedProfileIds.has(profile.id));
+    if (this.settings.profiles.length === 0) {
+      const compatibility = this.compatibilityOptions();
+      this.settings.profiles = defaultProfiles().map((entry, index) =>
+        sanitizeProfile(entry, index, compatibility)
+      );
+    }
+    if (!this.settings.profiles.some((profile) => profile.id === this.settings.lastProfileId)) {
+      this.settings.lastProfileId = this.settings.profiles[0].id;
+    }
+    this.settings.orphanedProfileIds = this.settings.orphanedProfileIds.filter((id) => !removedProfileIds.has(id));
+    this.settings.folderProfileMappings = this.settings.folderProfileMappings.filter(
+      (mapping) => !removedProfileIds.has(mapping.profileId)
+    );
+    delete this.settings.activeProfileByProvider[provider];
+    await this.saveSettings();
+    if (this.settings.publishProfilesToAgentClient) {
+      await this.syncProfilesToAgentClientAgents(true);
+    }
   }
 
   getPreferredProfileForProvider(provider, compatibleProfiles, preferredProfileId = "") {
-    const scoped = compatibleProfiles.filter((profile) => profile.provider === provider);
+    const providerProfiles = compatibleProfiles.filter((profile) => profile.provider === provider);
+    const healthy = providerProfiles.filter((profile) => !this.isProfileOrphaned(profile.id));
+    const scoped = healthy.length > 0 ? healthy : providerProfiles;
     if (scoped.length === 0) {
       return null;
     }
@@ -3304,6 +7169,14 @@ class LocalGatePlugin extends Plugin {
     );
   }
 
+  stripLocalOverrideArgs(args) {
+    const source = sanitizeStringArray(args);
+    const isOverride = (arg) => this.isLocalOverrideArgs([arg]);
+    return source.filter(
+      (arg, index) => !isOverride(arg) && !(arg === "-c" && index + 1 < source.length && isOverride(source[index + 1]))
+    );
+  }
+
   async ensureBuiltinAgentsHealthy() {
     const path = normalizePath(this.settings.agentClientSettingsPath);
     const data = await this.readOrCreateAgentClientSettings(path);
@@ -3335,16 +7208,9 @@ class LocalGatePlugin extends Plugin {
     const normalizedCustomAgents = customAgents.map((agent) => {
       const item = agent && typeof agent === "object" ? { ...agent } : {};
       const id = sanitizeString(item.id, "");
-      if (id === this.toProviderAgentId("ollama")) {
-        const nextDisplayName = providerAgentDisplayName("ollama");
-        if (sanitizeString(item.displayName, "") !== nextDisplayName) {
-          item.displayName = nextDisplayName;
-          changed = true;
-        }
-        return item;
-      }
-      if (id === this.toProviderAgentId("lmstudio")) {
-        const nextDisplayName = providerAgentDisplayName("lmstudio");
+      const provider = this.getConfiguredProviders().find((entry) => id === this.toProviderAgentId(entry));
+      if (provider) {
+        const nextDisplayName = providerAgentDisplayName(provider, this.settings);
         if (sanitizeString(item.displayName, "") !== nextDisplayName) {
           item.displayName = nextDisplayName;
           changed = true;
@@ -3358,7 +7224,9 @@ class LocalGatePlugin extends Plugin {
     }
 
     if (changed) {
-      await this.persistAgentClientSettings(path, data);
+      if (!(await this.persistAgentClientSettings(path, data))) {
+        return;
+      }
       if (wasLocalOverride) {
         new Notice("Local Gate: restored built-in Codex to default (cloud) mode.");
       }
@@ -3368,34 +7236,330 @@ class LocalGatePlugin extends Plugin {
     await this.saveSettings();
   }
 
-  async applyProfile(profile) {
-    const normalized = sanitizeProfile(profile, 0, {
-      allowNonToolsChatModels: this.settings.allowNonToolsChatModels,
-    });
+  async applyProfile(profile, reason = "") {
+    const normalized = sanitizeProfile(profile, 0, this.compatibilityOptions());
     if (!normalized.compatible) {
       new Notice(`Local Gate: "${normalized.name}" blocked (${normalized.compatibilityReason}).`);
       return;
     }
 
     const saved = this.upsertProfile(normalized);
+    if (!this.settings.publishProfilesToAgentClient) {
+      this.settings.lastProfileId = saved.id;
+      this.settings.activeProfileByProvider[saved.provider] = saved.id;
+      await this.saveSettings();
+      new Notice("Local Gate: enable 'Publish profiles to Agent Client' to apply local model.");
+      return;
+    }
+
+    const preferredAgentId = this.toProviderAgentId(saved.provider);
+    const synced = await this.syncProfilesToAgentClientAgents(true, preferredAgentId, {
+      [saved.provider]: saved.id,
+    });
+    if (!synced || !(await this.enforceProviderAgentModel(saved))) {
+      return;
+    }
     this.settings.lastProfileId = saved.id;
     this.settings.activeProfileByProvider[saved.provider] = saved.id;
     await this.saveSettings();
 
-    const preferredAgentId = this.toProviderAgentId(saved.provider);
-    if (this.settings.publishProfilesToAgentClient) {
-      await this.syncProfilesToAgentClientAgents(true, preferredAgentId, {
-        [saved.provider]: saved.id,
-      });
-      await this.enforceProviderAgentModel(saved);
+    new Notice(
+      `Local Gate: applied ${providerLabel(saved.provider, this.settings)} default model -> ${sanitizeString(saved.model, saved.name)}${
+        reason ? ` (${reason})` : ""
+      }.`
+    );
+  }
+
+  resolveProfileForNote(file) {
+    if (!file || typeof file.path !== "string") {
+      return null;
+    }
+    const cache = this.app.metadataCache.getFileCache(file);
+    const fromFrontmatter = sanitizeString(cache && cache.frontmatter && cache.frontmatter[PROFILE_FRONTMATTER_KEY], "");
+    if (fromFrontmatter) {
+      const profile = this.settings.profiles.find((entry) => entry.id === fromFrontmatter || entry.name === fromFrontmatter);
+      return { profile: profile || null, source: `frontmatter in ${file.basename}`, requestedId: fromFrontmatter };
+    }
+    const mapping = this.settings.folderProfileMappings
+      .filter((entry) => entry.folder && entry.profileId && (file.path === entry.folder || file.path.startsWith(`${entry.folder}/`)))
+      .sort((a, b) => b.folder.length - a.folder.length)[0];
+    if (!mapping) {
+      return null;
+    }
+    const profile = this.getProfileById(mapping.profileId);
+    return profile ? { profile, source: `folder ${mapping.folder}/` } : null;
+  }
+
+  async handleActiveNoteChange(file) {
+    if (!this.settings.autoSwitchProfileByNote || !this.settings.publishProfilesToAgentClient) {
+      return;
+    }
+    const match = this.resolveProfileForNote(file);
+    if (!match) {
+      return;
+    }
+    const { profile, source } = match;
+    if (!profile) {
+      if (!this.__localGateNoteProfileWarnings.has(`unknown:${match.requestedId}`)) {
+        this.__localGateNoteProfileWarnings.add(`unknown:${match.requestedId}`);
+        new Notice(`Local Gate: no profile "${match.requestedId}" for ${source}.`);
+      }
+      return;
+    }
+    if (this.settings.lastProfileId === profile.id && this.settings.activeProfileByProvider[profile.provider] === profile.id) {
+      return;
+    }
+    if (!profile.compatible) {
+      if (!this.__localGateNoteProfileWarnings.has(`incompatible:${profile.id}`)) {
+        this.__localGateNoteProfileWarnings.add(`incompatible:${profile.id}`);
+        new Notice(`Local Gate: not switching to "${profile.name}" for ${source} (${profile.compatibilityReason}).`);
+      }
+      return;
+    }
+    await this.applyProfile(profile, source);
+  }
+
+  resolveProfileCommand(profile) {
+    const command = sanitizeString(profile && profile.command, "");
+    if (!command || isCodexAcpCommand(command)) {
+      return this.settings.codexAcpCommand || "codex-acp";
+    }
+    return command;
+  }
+
+  async resolveProfileLaunch(profile, cache = null) {
+    const command = this.resolveProfileCommand(profile);
+    if (cache && cache.has(command)) {
+      return cache.get(command);
+    }
+    const launch = await this.buildCodexAcpLaunchSpec(command);
+    if (cache) {
+      cache.set(command, launch);
+    }
+    return launch;
+  }
+
+  buildProfileAgentArgs(profile, launch) {
+    const provider = sanitizeString(profile.provider, "");
+    const model = sanitizeString(profile.model, deriveModelName(profile));
+    const endpoint = this.getProviderEndpoint(provider, profile);
+    const wireApi = this.resolveWireApiForProfile(profile);
+    return [
+      ...launch.argsPrefix,
+      ...buildProviderCodexArgs(provider, endpoint, model, {
+        ...this.providerCodexArgOptions(provider, wireApi),
+        generation: sanitizeGenerationParams(profile.generation),
+      }),
+      ...sanitizeStringArray(profile.extraArgs),
+    ];
+  }
+
+  getModelContextLength(provider, model) {
+    const contextLengths = this.compatibilityOptions().contextLengths;
+    return Number(contextLengths[`${provider}:${model}`]) || 0;
+  }
+
+  getManagedOllamaContextLength() {
+    return this.settings.profiles
+      .filter((profile) => profile.provider === "ollama")
+      .reduce((max, profile) => Math.max(max, sanitizeGenerationParams(profile.generation).numCtx || 0), 0);
+  }
+
+  getGenerationWarning(profile) {
+    const generation = sanitizeGenerationParams(profile && profile.generation);
+    const warnings = [];
+    const contextLength = this.getModelContextLength(profile.provider, profile.model);
+    if (generation.numCtx != null && contextLength > 0 && generation.numCtx > contextLength) {
+      warnings.push(`num_ctx ${generation.numCtx} exceeds the model's context length (${contextLength}).`);
+    }
+    if (generation.temperature != null || generation.topP != null) {
+      warnings.push("temperature/top_p are saved but codex-acp cannot apply them.");
+    }
+    return warnings.join(" ");
+  }
+
+  async refreshSystemPromptNotes() {
+    const next = {};
+    const paths = Array.from(
+      new Set(this.settings.profiles.map((profile) => sanitizeString(profile.systemPromptNote, "")).filter(Boolean))
+    );
+    for (const notePath of paths) {
+      try {
+        const content = await this.app.vault.adapter.read(normalizePath(notePath));
+        next[notePath] = sanitizeString(stripFrontmatter(content), "");
+      } catch (_error) {
+        next[notePath] = "";
+      }
+    }
+    this.__localGateSystemPromptNotes = next;
+  }
+
+  resolveProfileSystemPrompt(profile) {
+    if (!profile) {
+      return "";
+    }
+    const notePath = sanitizeString(profile.systemPromptNote, "");
+    const fromNote = notePath ? sanitizeString((this.__localGateSystemPromptNotes || {})[notePath], "") : "";
+    return fromNote || sanitizeString(profile.systemPrompt, "");
+  }
+
+  isViewConversationEmpty(view) {
+    const messages = ["messages", "chatMessages"].map((key) => view && view[key]).find(Array.isArray);
+    if (messages) {
+      return messages.length === 0;
+    }
+    const roots = [view && view.containerEl, view && view.contentEl].filter(Boolean);
+    const selectors = [
+      ".message",
+      ".chat-message",
+      "[data-message-id]",
+      "[data-role='user']",
+      "[data-role='assistant']",
+    ];
+    let queried = false;
+    for (const root of roots) {
+      if (typeof root.querySelector !== "function") {
+        continue;
+      }
+      queried = true;
+      if (selectors.some((selector) => root.querySelector(selector))) {
+        return false;
+      }
+    }
+    return queried;
+  }
+
+  resetSystemPromptSession(view = null) {
+    if (view) {
+      this.__localGateSystemPromptSessions.delete(view);
     } else {
-      new Notice("Local Gate: enable 'Publish profiles to Agent Client' to apply local model.");
+      this.__localGateSystemPromptSessions = new WeakMap();
+    }
+  }
+
+  patchNewSessionMethodOnTarget(target, methodName, viewRef = null) {
+    if (!target || typeof target[methodName] !== "function") {
+      return false;
+    }
+    const original = target[methodName];
+    if (original.__localGateNewSessionPatched === true) {
+      return false;
+    }
+    const plugin = this;
+    const wrapped = function(...args) {
+      plugin.resetSystemPromptSession(viewRef || this);
+      return original.apply(this, args);
+    };
+    wrapped.__localGateNewSessionPatched = true;
+    wrapped.__localGateOriginal = original;
+    target[methodName] = wrapped;
+    return true;
+  }
+
+  injectProfileSystemPrompt(view, sendArgs, runtimeContext) {
+    const profile = runtimeContext && runtimeContext.profile;
+    const prompt = this.resolveProfileSystemPrompt(profile);
+    if (!prompt) {
+      return "";
+    }
+    if (view && this.isViewConversationEmpty(view)) {
+      this.resetSystemPromptSession(view);
+    }
+    const injectionKey = `${profile.id}\n${hashText(prompt)}`;
+    if (view && this.__localGateSystemPromptSessions.get(view) === injectionKey) {
+      return "";
+    }
+    const block = `${SYSTEM_PROMPT_OPEN}\n${prompt}\n${SYSTEM_PROMPT_CLOSE}\n\n`;
+    const withPrompt = (text) => `${block}${stripSystemPromptBlock(text)}`;
+    const currentText = this.getViewInputText(view);
+    if (currentText) {
+      this.setViewInputText(view, withPrompt(currentText));
+    }
+    if (Array.isArray(sendArgs)) {
+      sendArgs.forEach((arg, index) => {
+        if (typeof arg === "string" && arg.trim() && (!currentText || arg === currentText)) {
+          sendArgs[index] = withPrompt(arg);
+        }
+      });
+    }
+    if (view) {
+      this.__localGateSystemPromptSessions.set(view, injectionKey);
+    }
+    return prompt;
+  }
+
+  async handleSystemPromptNoteMoved(oldPath, newPath) {
+    const isAffected = (notePath) => notePath === oldPath || notePath.startsWith(`${oldPath}/`);
+    const affected = this.settings.profiles.filter(
+      (profile) => profile.systemPromptNote && isAffected(profile.systemPromptNote)
+    );
+    if (affected.length === 0) {
       return;
     }
+    affected.forEach((profile) => {
+      profile.systemPromptNote = newPath ? `${newPath}${profile.systemPromptNote.slice(oldPath.length)}` : "";
+    });
+    await this.saveSettings();
+    await this.refreshSystemPromptNotes();
+    if (!newPath) {
+      new Notice(
+        `Local Gate: system prompt note ${oldPath} was deleted. ` +
+          `${affected.map((profile) => profile.name).join(", ")} now use the inline system prompt.`
+      );
+    }
+  }
 
-    new Notice(
-      `Local Gate: applied ${providerLabel(saved.provider)} default model -> ${sanitizeString(saved.model, saved.name)}.`
+  async saveEditedProfile(draft, previousId = "") {
+    const existingIndex = this.settings.profiles.findIndex((profile) => profile.id === previousId);
+    const previousPublished = existingIndex >= 0 && this.settings.profiles[existingIndex].publishAsAgent === true;
+    const baseId = previousId || `${slugify(draft.provider) || "local"}-${slugify(draft.model) || "model"}`;
+    const normalized = sanitizeProfile(
+      {
+        ...draft,
+        id: baseId,
+        name: sanitizeString(draft.name, baseId),
+        endpoint: sanitizeString(draft.endpoint, ""),
+      },
+      existingIndex >= 0 ? existingIndex : this.settings.profiles.length,
+      this.compatibilityOptions()
+    );
+    if (existingIndex >= 0) {
+      this.settings.profiles[existingIndex] = normalized;
+    } else {
+      normalized.id = this.getUniqueProfileId(normalized.id);
+      this.settings.profiles.push(normalized);
+    }
+    await this.saveSettings();
+    await this.refreshSystemPromptNotes();
+    new Notice(`Local Gate: profile saved (${normalized.name}).`);
+    const wasPublished = existingIndex >= 0 && previousPublished;
+    if (
+      this.settings.publishProfilesToAgentClient &&
+      (this.settings.activeProfileByProvider[normalized.provider] === normalized.id || normalized.publishAsAgent || wasPublished)
+    ) {
+      await this.syncProfilesToAgentClientAgents(true);
+    }
+  }
+
+  async duplicateProfile(profileId) {
+    const source = this.getProfileById(profileId);
+    if (!source) {
+      new Notice("Local Gate: profile not found.");
+      return;
+    }
+    const copy = sanitizeProfile(
+      {
+        ...clone(source),
+        id: this.getUniqueProfileId(`${source.id}-copy`),
+        name: `${source.name} (copy)`,
+        publishAsAgent: false,
+      },
+      this.settings.profiles.length,
+      this.compatibilityOptions()
     );
+    this.settings.profiles.push(copy);
+    await this.saveSettings();
+    new Notice(`Local Gate: duplicated profile (${copy.name}).`);
   }
 
   async deleteProfile(profileId) {
@@ -3430,18 +7594,13 @@ class LocalGatePlugin extends Plugin {
 
   createProfileFromDiscovered(model) {
     const provider = sanitizeString(model.provider, "local");
-    const endpoint =
-      provider === "ollama"
-        ? toOpenAiEndpoint("ollama", this.settings.ollamaBaseUrl)
-        : provider === "lmstudio"
-        ? toOpenAiEndpoint("lmstudio", this.settings.lmStudioBaseUrl)
-        : sanitizeString(model.endpoint, "");
+    const endpoint = this.getProviderEndpoint(provider, null) || sanitizeString(model.endpoint, "");
     const modelName = sanitizeString(model.model, "unknown");
-    const idBase = `${provider}-${slugify(modelName) || "model"}`;
+    const idBase = `${slugify(provider) || "local"}-${slugify(modelName) || "model"}`;
 
     return {
       id: idBase,
-      name: `${providerLabel(provider)}: ${modelName}`,
+      name: `${providerLabel(provider, this.settings)}: ${modelName}`,
       provider,
       model: modelName,
       endpoint,
@@ -3465,7 +7624,7 @@ class LocalGatePlugin extends Plugin {
     return `${baseId}-${suffix}`;
   }
 
-  upsertProfile(profile) {
+  upsertProfile(profile, compatibility = this.compatibilityOptions()) {
     const existingIndex = this.settings.profiles.findIndex(
       (item) => item.provider === profile.provider && item.name === profile.name
     );
@@ -3476,31 +7635,298 @@ class LocalGatePlugin extends Plugin {
           ...profile,
         },
         existingIndex,
-        {
-          allowNonToolsChatModels: this.settings.allowNonToolsChatModels,
-        }
+        compatibility
       );
       return this.settings.profiles[existingIndex];
     }
-
-    const normalized = sanitizeProfile(profile, this.settings.profiles.length, {
-      allowNonToolsChatModels: this.settings.allowNonToolsChatModels,
-    });
-    normalized.id = this.getUniqueProfileId(normalized.id);
-    this.settings.profiles.push(normalized);
-    return normalized;
+
+    const normalized = sanitizeProfile(profile, this.settings.profiles.length, compatibility);
+    normalized.id = this.getUniqueProfileId(normalized.id);
+    this.settings.profiles.push(normalized);
+    return normalized;
+  }
+
+  async addDiscoveredModelAsProfile(model) {
+    const created = this.createProfileFromDiscovered(model);
+    const saved = this.upsertProfile(created);
+    this.settings.lastProfileId = saved.id;
+    this.settings.activeProfileByProvider[saved.provider] = saved.id;
+    await this.saveSettings();
+    new Notice(`Local Gate: profile saved (${saved.name}).`);
+    if (this.settings.publishProfilesToAgentClient) {
+      await this.syncProfilesToAgentClientAgents(true);
+    }
+  }
+
+  async sendProbeRequest(model, payload) {
+    const custom = findCustomEndpoint(this.settings, model.provider);
+    const response = await withTimeout(
+      requestUrl({
+        url: `${ensureNoTrailingSlash(model.endpoint)}/chat/completions`,
+        method: "POST",
+        contentType: "application/json",
+        headers: custom ? custom.headers : {},
+        body: JSON.stringify({ model: model.model, stream: false, ...payload }),
+        throw: false,
+      }),
+      PROBE_TIMEOUT_MS,
+      "probe"
+    );
+    if (response.status >= 400) {
+      throw new Error(`HTTP ${response.status}`);
+    }
+    const choice = response.json && Array.isArray(response.json.choices) ? response.json.choices[0] : null;
+    if (!choice || !choice.message) {
+      throw new Error("no message in response");
+    }
+    return choice.message;
+  }
+
+  async probeModelCapabilities(model) {
+    const failures = [];
+    const attempt = async (label, run) => {
+      try {
+        return await run();
+      } catch (error) {
+        failures.push(`${label}: ${error.message}`);
+        return null;
+      }
+    };
+
+    const chat = await attempt("chat", async () => {
+      const message = await this.sendProbeRequest(model, {
+        messages: [{ role: "user", content: "Reply with the single word OK." }],
+        max_tokens: PROBE_MAX_TOKENS,
+      });
+      return probeMessageText(message).length > 0;
+    });
+
+    const tools = await attempt("tools", async () => {
+      const message = await this.sendProbeRequest(model, {
+        messages: [{ role: "user", content: "What time is it in UTC? Use the get_time tool." }],
+        tools: [
+          {
+            type: "function",
+            function: {
+              name: "get_time",
+              description: "Get the current time for a timezone.",
+              parameters: {
+                type: "object",
+                properties: { timezone: { type: "string" } },
+                required: ["timezone"],
+              },
+            },
+          },
+        ],
+        max_tokens: PROBE_TOOLS_MAX_TOKENS,
+      });
+      const call = Array.isArray(message.tool_calls) ? message.tool_calls[0] : null;
+      if (!call || !call.function || call.function.name !== "get_time") {
+        return false;
+      }
+      if (typeof call.function.arguments !== "string") {
+        return isPlainObject(call.function.arguments);
+      }
+      try {
+        return isPlainObject(JSON.parse(call.function.arguments || "{}"));
+      } catch (_error) {
+        return false;
+      }
+    });
+
+    const vision = await attempt("vision", async () => {
+      const message = await this.sendProbeRequest(model, {
+        messages: [
+          {
+            role: "user",
+            content: [
+              { type: "text", text: "What color is this image? Answer with one word." },
+              { type: "image_url", image_url: { url: PROBE_IMAGE_DATA_URL } },
+            ],
+          },
+        ],
+        max_tokens: PROBE_MAX_TOKENS,
+      });
+      return /red/i.test(probeMessageText(message));
+    });
+
+    return {
+      checkedAt: new Date().toISOString(),
+      chat,
+      tools,
+      vision,
+      detail: failures.join(" | "),
+    };
+  }
+
+  async probeDiscoveredModels(models = null) {
+    const hiddenKeys = new Set(this.settings.hiddenDiscoveredModelKeys);
+    const targets = models || this.settings.discoveredModels.filter((model) => !hiddenKeys.has(model.key));
+    if (targets.length === 0) {
+      new Notice("Local Gate: no discovered models to probe.");
+      return;
+    }
+    let index = 0;
+    const skipped = [];
+    let unverified = 0;
+    for (const target of targets) {
+      index += 1;
+      new Notice(`Local Gate: probing ${target.model} (${index}/${targets.length})...`);
+      const probe = await this.probeModelCapabilities(target);
+      if (!probe.chat) {
+        skipped.push(`${target.model} (${probe.detail || "no chat reply"})`);
+        continue;
+      }
+      if (probe.tools === null) {
+        unverified += 1;
+      }
+      const position = this.settings.discoveredModels.findIndex((entry) => entry.key === target.key);
+      if (position >= 0) {
+        this.settings.discoveredModels[position] = applyProbeResult(this.settings.discoveredModels[position], probe);
+      }
+    }
+    this.recomputeCompatibilityFlags();
+    await this.saveSettings();
+    const failed = targets.filter((target) => {
+      const current = this.settings.discoveredModels.find((entry) => entry.key === target.key);
+      return current && !current.compatible && current.probe && current.probe.tools === false;
+    }).length;
+    new Notice(
+      `Local Gate: probed ${targets.length - skipped.length} model(s). Blocked ${failed} (no valid tool call).` +
+        (unverified > 0 ? ` Tools unverified (timeout/error): ${unverified}.` : "") +
+        (skipped.length > 0 ? ` Not recorded (chat failed): ${skipped.join(", ")}` : "")
+    );
+  }
+
+  async benchmarkOllamaModel(model) {
+    const apiBase = this.getOllamaApiBase(model.provider);
+    const response = await withTimeout(
+      requestUrl({
+        url: `${apiBase}/api/generate`,
+        method: "POST",
+        contentType: "application/json",
+        body: JSON.stringify({
+          model: model.model,
+          prompt: BENCHMARK_PROMPT,
+          stream: false,
+          options: { num_predict: BENCHMARK_MAX_TOKENS },
+        }),
+        throw: false,
+      }),
+      PROBE_TIMEOUT_MS,
+      "benchmark"
+    );
+    if (response.status >= 400) {
+      throw new Error(`HTTP ${response.status}`);
+    }
+    const payload = response.json || {};
+    const nsToMs = (value) => (Number(value) || 0) / 1e6;
+    const evalMs = nsToMs(payload.eval_duration);
+    const outputTokens = Number(payload.eval_count) || 0;
+    return {
+      checkedAt: new Date().toISOString(),
+      ttftMs: nsToMs(payload.load_duration) + nsToMs(payload.prompt_eval_duration),
+      tokensPerSec: evalMs > 0 ? outputTokens / (evalMs / 1000) : null,
+      loadMs: nsToMs(payload.load_duration),
+      outputTokens,
+    };
+  }
+
+  async benchmarkOpenAiModel(model) {
+    const custom = findCustomEndpoint(this.settings, model.provider);
+    const startedAt = Date.now();
+    let firstTokenAt = 0;
+    let chunkCount = 0;
+    let usageTokens = 0;
+    const stream = streamJsonLines(
+      `${ensureNoTrailingSlash(model.endpoint)}/chat/completions`,
+      {
+        model: model.model,
+        stream: true,
+        stream_options: { include_usage: true },
+        max_tokens: BENCHMARK_MAX_TOKENS,
+        messages: [{ role: "user", content: BENCHMARK_PROMPT }],
+      },
+      (event) => {
+        const choice = event && Array.isArray(event.choices) ? event.choices[0] : null;
+        const delta =
+          choice && choice.delta
+            ? [choice.delta.content, choice.delta.reasoning_content, choice.delta.reasoning]
+                .map((value) => sanitizeString(value, ""))
+                .join("")
+            : "";
+        if (delta) {
+          if (!firstTokenAt) {
+            firstTokenAt = Date.now();
+          }
+          chunkCount += 1;
+        }
+        if (event && event.usage && Number(event.usage.completion_tokens) > 0) {
+          usageTokens = Number(event.usage.completion_tokens);
+        }
+      },
+      custom ? custom.headers : {}
+    );
+    try {
+      await withTimeout(stream.done, PROBE_TIMEOUT_MS, "benchmark");
+    } catch (error) {
+      stream.cancel();
+      throw error;
+    }
+    const finishedAt = Date.now();
+    if (!firstTokenAt) {
+      throw new Error("no tokens received");
+    }
+    const outputTokens = usageTokens || chunkCount;
+    const generationMs = finishedAt - firstTokenAt;
+    return {
+      checkedAt: new Date().toISOString(),
+      ttftMs: firstTokenAt - startedAt,
+      tokensPerSec: generationMs > 0 ? outputTokens / (generationMs / 1000) : null,
+      loadMs: null,
+      outputTokens,
+    };
   }
 
-  async addDiscoveredModelAsProfile(model) {
-    const created = this.createProfileFromDiscovered(model);
-    const saved = this.upsertProfile(created);
-    this.settings.lastProfileId = saved.id;
-    this.settings.activeProfileByProvider[saved.provider] = saved.id;
-    await this.saveSettings();
-    new Notice(`Local Gate: profile saved (${saved.name}).`);
-    if (this.settings.publishProfilesToAgentClient) {
-      await this.syncProfilesToAgentClientAgents(true);
+  async benchmarkDiscoveredModels(models = null) {
+    const hiddenKeys = new Set(this.settings.hiddenDiscoveredModelKeys);
+    const targets =
+      models || this.settings.discoveredModels.filter((model) => model.compatible && !hiddenKeys.has(model.key));
+    if (targets.length === 0) {
+      new Notice("Local Gate: no ready models to benchmark.");
+      return;
+    }
+    const failures = [];
+    let index = 0;
+    for (const target of targets) {
+      index += 1;
+      new Notice(`Local Gate: benchmarking ${target.model} (${index}/${targets.length})...`);
+      try {
+        const benchmark =
+          providerKind(target.provider) === "ollama"
+            ? await this.benchmarkOllamaModel(target)
+            : await this.benchmarkOpenAiModel(target);
+        const position = this.settings.discoveredModels.findIndex((entry) => entry.key === target.key);
+        if (position >= 0) {
+          this.settings.discoveredModels[position] = {
+            ...this.settings.discoveredModels[position],
+            benchmark: sanitizeBenchmarkResult(benchmark),
+          };
+        }
+      } catch (error) {
+        failures.push(`${target.model}: ${error.message}`);
+      }
     }
+    await this.saveSettings();
+    const fastest = sortDiscoveredModels(
+      this.settings.discoveredModels.filter((model) => model.compatible && model.benchmark),
+      "speed"
+    )[0];
+    new Notice(
+      `Local Gate: benchmarked ${targets.length - failures.length}/${targets.length} model(s).` +
+        (fastest ? ` Fastest: ${fastest.model} (${formatBenchmarkResult(fastest.benchmark)}).` : "") +
+        (failures.length > 0 ? ` Failed: ${failures.join(" | ")}` : "")
+    );
   }
 
   async applyDiscoveredModel(model) {
@@ -3509,146 +7935,414 @@ class LocalGatePlugin extends Plugin {
   }
 
   async scanAndStoreModels(options = { silent: false }) {
-    const silent = options && options.silent === true;
-    if (!silent) {
-      new Notice("Local Gate: scanning...");
+    if (this.__localGateScanInFlight) {
+      if (!(options && options.silent === true)) {
+        new Notice("Local Gate: a scan is already running.");
+      }
+      return this.__localGateScanInFlight;
+    }
+    this.__localGateScanInFlight = this.runModelScan(options);
+    try {
+      return await this.__localGateScanInFlight;
+    } finally {
+      this.__localGateScanInFlight = null;
     }
+  }
 
-    const found = [];
-    const errors = [];
-    const diagnostics = [];
+  async recordScanFailure(error) {
+    const message = error && error.message ? error.message : String(error);
+    this.settings.lastScanErrors = [`Scan failed: ${message}`];
+    this.settings.lastScanSummary = "Scan failed.";
+    this.settings.lastScanAt = new Date().toLocaleString();
+    try {
+      await this.saveSettings();
+    } catch (_error) {}
+  }
+
+  async runModelScan(options = { silent: false }) {
+    const silent = options && options.silent === true;
+    const progressNotice = silent ? null : new Notice("Local Gate: scanning...", 0);
+    const reportProgress = (message) => {
+      if (progressNotice) {
+        progressNotice.setMessage(`Local Gate: ${message}`);
+      }
+    };
+
+    try {
+      const found = [];
+      const errors = [];
+      const diagnostics = [];
+      const scannedProviders = new Set();
+
+      const enabledCustomEndpoints = this.settings.customEndpoints.filter((entry) => entry.enabled);
+      if (
+        !this.settings.enableOllamaScan &&
+        !this.settings.enableLmStudioScan &&
+        !this.settings.enableLlamaCppScan &&
+        enabledCustomEndpoints.length === 0
+      ) {
+        this.settings.lastScanErrors = ["All provider scans are disabled."];
+        this.settings.lastScanSummary = "No provider enabled.";
+        this.settings.lastScanDiagnostics = [];
+        this.settings.lastScanAt = new Date().toLocaleString();
+        await this.saveSettings();
+        if (!silent) {
+          new Notice("Local Gate: enable at least one provider scan.");
+        }
+        return;
+      }
+
+      if (this.settings.enableOllamaScan) {
+        for (const target of this.getOllamaHostTargets()) {
+          try {
+            const ollama = await this.scanOllamaModels(target, reportProgress);
+            found.push(...ollama.models);
+            scannedProviders.add(target.provider);
+            if (ollama.diagnostic) {
+              diagnostics.push(ollama.diagnostic);
+            }
+          } catch (error) {
+            errors.push(`${providerLabel(target.provider, this.settings)}: ${error.message}`);
+          }
+        }
+      }
+
+      if (this.settings.enableLmStudioScan) {
+        try {
+          const lm = await this.scanLmStudioModels();
+          found.push(...lm.models);
+          scannedProviders.add("lmstudio");
+          if (lm.diagnostic) {
+            diagnostics.push(lm.diagnostic);
+          }
+        } catch (error) {
+          errors.push(`LM Studio: ${error.message}`);
+        }
+      }
+
+      if (this.settings.enableLlamaCppScan) {
+        try {
+          const llama = await this.scanLlamaCppModels();
+          found.push(...llama.models);
+          scannedProviders.add("llamacpp");
+          if (llama.diagnostic) {
+            diagnostics.push(llama.diagnostic);
+          }
+        } catch (error) {
+          errors.push(`llama.cpp: ${error.message}`);
+        }
+      }
 
-    if (!this.settings.enableOllamaScan && !this.settings.enableLmStudioScan) {
-      this.settings.lastScanErrors = ["Both provider scans are disabled."];
-      this.settings.lastScanSummary = "No provider enabled.";
-      this.settings.lastScanDiagnostics = [];
+      for (const entry of enabledCustomEndpoints) {
+        try {
+          const custom = await this.scanCustomEndpointModels(entry);
+          found.push(...custom.models);
+          scannedProviders.add(toCustomProviderKey(entry.id));
+          if (custom.diagnostic) {
+            diagnostics.push(custom.diagnostic);
+          }
+        } catch (error) {
+          errors.push(`${entry.label}: ${error.message}`);
+        }
+      }
+
+      const previousModels = this.settings.discoveredModels;
+      const previousByKey = new Map(previousModels.map((model) => [model.key, model]));
+      const compatibility = this.compatibilityOptions();
+      this.settings.discoveredModels = normalizeDiscoveredModels(found, compatibility).map((model, index) =>
+        sanitizeDiscoveredModel(
+          applyModelOverride(
+            applyProbeResult(
+              {
+                ...model,
+                capabilities: inferModelCapabilities(model.provider, model.model, model.capabilities),
+                benchmark: previousByKey.has(model.key) ? previousByKey.get(model.key).benchmark : null,
+              },
+              previousByKey.has(model.key) ? previousByKey.get(model.key).probe : null
+            ),
+            this.settings.modelOverrides[model.key]
+          ),
+          index,
+          compatibility
+        )
+      );
+      const discoveredKeys = new Set(this.settings.discoveredModels.map((model) => model.key));
+      this.settings.hiddenDiscoveredModelKeys = this.settings.hiddenDiscoveredModelKeys.filter((key) =>
+        discoveredKeys.has(key)
+      );
+      this.settings.lastScanErrors = errors;
+      this.settings.lastScanDiagnostics = diagnostics;
       this.settings.lastScanAt = new Date().toLocaleString();
+      const blockedCount = this.settings.discoveredModels.filter((model) => !model.compatible).length;
+      const readyCount = this.settings.discoveredModels.length - blockedCount;
+      this.settings.lastScanSummary =
+        `Discovered ${this.settings.discoveredModels.length} model(s). ` +
+        `Ready ${readyCount}, blocked ${blockedCount}.`;
+
+      if (this.settings.autoCreateProfilesFromDiscovery) {
+        const discoveredCompatibility = this.compatibilityOptions();
+        this.settings.discoveredModels.forEach((model) => {
+          const profile = this.createProfileFromDiscovered(model);
+          this.upsertProfile(profile, discoveredCompatibility);
+        });
+      }
+
+      const unscannedProviders = new Set(
+        previousModels.map((model) => model.provider).filter((provider) => !scannedProviders.has(provider))
+      );
+      const scanDiff = diffDiscoveredModels(previousModels, this.settings.discoveredModels, unscannedProviders);
+      this.recordScanHistory(scanDiff, previousModels.length === 0);
+      this.updateOrphanedProfiles(scannedProviders);
+
+      const hasLmStudioModel = this.settings.discoveredModels.some((model) => model.provider === "lmstudio");
+      const lmStudioErrored = errors.some((entry) => entry.startsWith("LM Studio:"));
+      if (!hasLmStudioModel && lmStudioErrored) {
+        this.settings.profiles = this.settings.profiles.filter((profile) => {
+          if (profile.provider !== "lmstudio") {
+            return true;
+          }
+          const lowered = `${profile.id} ${profile.name}`.toLowerCase();
+          return !lowered.includes("default");
+        });
+      }
+
       await this.saveSettings();
+
+      if (this.settings.publishProfilesToAgentClient && this.settings.autoSyncToAgentClientAfterScan) {
+        await this.syncProfilesToAgentClientAgents(true);
+      }
+
       if (!silent) {
-        new Notice("Local Gate: enable at least one provider scan.");
+        if (this.settings.discoveredModels.length > 0) {
+          new Notice(
+            `Local Gate: found ${this.settings.discoveredModels.length} model(s).` +
+              (errors.length > 0 ? ` Errors: ${errors.join(" | ")}` : "")
+          );
+        } else {
+          new Notice(`Local Gate: no model found.${errors.length > 0 ? ` ${errors.join(" | ")}` : ""}`);
+        }
+      }
+    } finally {
+      if (progressNotice) {
+        progressNotice.hide();
       }
+    }
+  }
+
+  recordScanHistory(scanDiff, initialScan) {
+    const describe = (model) => `${providerLabel(model.provider, this.settings)}: ${model.model}`;
+    const entry = sanitizeScanHistoryEntry({
+      at: new Date().toISOString(),
+      added: scanDiff.added.map(describe),
+      removed: scanDiff.removed.map(describe),
+      changed: scanDiff.changed.map((item) => `${describe(item.model)} (${item.changes.join(", ")})`),
+    });
+    if (entry.added.length + entry.removed.length + entry.changed.length === 0) {
+      return;
+    }
+    this.settings.scanHistory = [entry, ...this.settings.scanHistory].slice(0, SCAN_HISTORY_LIMIT);
+    if (!this.settings.notifyScanChanges || initialScan) {
       return;
     }
+    const parts = [];
+    if (scanDiff.added.length > 0) {
+      parts.push(`${scanDiff.added.length} new model(s): ${scanDiff.added.map((model) => model.model).join(", ")}`);
+    }
+    if (scanDiff.removed.length > 0) {
+      parts.push(`${scanDiff.removed.length} removed: ${scanDiff.removed.map((model) => model.model).join(", ")}`);
+    }
+    if (scanDiff.changed.length > 0) {
+      parts.push(`${scanDiff.changed.length} changed`);
+    }
+    new Notice(`Local Gate: ${parts.join(", ")}.`);
+  }
 
-    if (this.settings.enableOllamaScan) {
-      try {
-        const ollama = await this.scanOllamaModels();
-        found.push(...ollama.models);
-        if (ollama.diagnostic) {
-          diagnostics.push(ollama.diagnostic);
-        }
-      } catch (error) {
-        errors.push(`Ollama: ${error.message}`);
+  updateOrphanedProfiles(scannedProviders) {
+    const discoveredKeys = new Set(this.settings.discoveredModels.map((model) => `${model.provider}:${model.model}`));
+    const orphaned = new Set(this.settings.orphanedProfileIds);
+    const activeIds = new Set([...Object.values(this.settings.activeProfileByProvider), this.settings.lastProfileId]);
+    this.settings.profiles.forEach((profile) => {
+      if (!scannedProviders.has(profile.provider)) {
+        return;
+      }
+      if (discoveredKeys.has(`${profile.provider}:${profile.model}`)) {
+        orphaned.delete(profile.id);
+      } else if (activeIds.has(profile.id)) {
+        orphaned.add(profile.id);
       }
+    });
+    const profileIds = new Set(this.settings.profiles.map((profile) => profile.id));
+    this.settings.orphanedProfileIds = [...orphaned].filter((id) => profileIds.has(id));
+  }
+
+  isProfileOrphaned(profileId) {
+    return this.settings.orphanedProfileIds.includes(profileId);
+  }
+
+  async clearScanHistory() {
+    this.settings.scanHistory = [];
+    await this.saveSettings();
+  }
+
+  async fetchOllamaTags(apiBase) {
+    try {
+      return await requestUrl({
+        url: `${apiBase}/api/tags`,
+        method: "GET",
+        throw: false,
+      });
+    } catch (_error) {
+      return null;
     }
+  }
 
-    if (this.settings.enableLmStudioScan) {
-      try {
-        const lm = await this.scanLmStudioModels();
-        found.push(...lm.models);
-        if (lm.diagnostic) {
-          diagnostics.push(lm.diagnostic);
-        }
-      } catch (error) {
-        errors.push(`LM Studio: ${error.message}`);
-      }
+  appendManagedOllamaLog(chunk) {
+    if (!this.__localGateOllamaLog) {
+      this.__localGateOllamaLog = [];
     }
+    String(chunk || "")
+      .split(/\r?\n/)
+      .filter((line) => line.trim().length > 0)
+      .forEach((line) => this.__localGateOllamaLog.push(line));
+    if (this.__localGateOllamaLog.length > OLLAMA_SERVE_LOG_LIMIT) {
+      this.__localGateOllamaLog = this.__localGateOllamaLog.slice(-OLLAMA_SERVE_LOG_LIMIT);
+    }
+  }
 
-    this.settings.discoveredModels = normalizeDiscoveredModels(found, {
-      allowNonToolsChatModels: this.settings.allowNonToolsChatModels,
-    }).map((model, index) =>
-      sanitizeDiscoveredModel(
-        {
-          ...model,
-          capabilities: inferModelCapabilities(model.provider, model.model, model.capabilities),
+  async startManagedOllama(binary, apiBase) {
+    if (!this.__localGateOllamaProcess) {
+      this.appendManagedOllamaLog(`[local-gate] starting ${binary} serve`);
+      const contextLength = this.getManagedOllamaContextLength();
+      const child = spawn(binary, ["serve"], {
+        env: {
+          ...process.env,
+          PATH: buildExecPathEnv(),
+          OLLAMA_HOST: apiBase,
+          ...(contextLength > 0 ? { OLLAMA_CONTEXT_LENGTH: String(contextLength) } : {}),
         },
-        index,
-        {
-          allowNonToolsChatModels: this.settings.allowNonToolsChatModels,
+        stdio: ["ignore", "pipe", "pipe"],
+      });
+      child.stdout.on("data", (chunk) => this.appendManagedOllamaLog(chunk));
+      child.stderr.on("data", (chunk) => this.appendManagedOllamaLog(chunk));
+      child.on("error", (error) => {
+        this.appendManagedOllamaLog(`[local-gate] ${error.message}`);
+        if (this.__localGateOllamaProcess === child) {
+          this.__localGateOllamaProcess = null;
         }
-      )
-    );
-    const discoveredKeys = new Set(this.settings.discoveredModels.map((model) => model.key));
-    this.settings.hiddenDiscoveredModelKeys = this.settings.hiddenDiscoveredModelKeys.filter((key) =>
-      discoveredKeys.has(key)
-    );
-    this.settings.lastScanErrors = errors;
-    this.settings.lastScanDiagnostics = diagnostics;
-    this.settings.lastScanAt = new Date().toLocaleString();
-    const blockedCount = this.settings.discoveredModels.filter((model) => !model.compatible).length;
-    const readyCount = this.settings.discoveredModels.length - blockedCount;
-    this.settings.lastScanSummary =
-      `Discovered ${this.settings.discoveredModels.length} model(s). ` +
-      `Ready ${readyCount}, blocked ${blockedCount}.`;
-
-    if (this.settings.autoCreateProfilesFromDiscovery) {
-      this.settings.discoveredModels.forEach((model) => {
-        const profile = this.createProfileFromDiscovered(model);
-        this.upsertProfile(profile);
       });
-    }
-
-    const hasLmStudioModel = this.settings.discoveredModels.some((model) => model.provider === "lmstudio");
-    const lmStudioErrored = errors.some((entry) => entry.startsWith("LM Studio:"));
-    if (!hasLmStudioModel && lmStudioErrored) {
-      this.settings.profiles = this.settings.profiles.filter((profile) => {
-        if (profile.provider !== "lmstudio") {
-          return true;
+      child.on("exit", (code, signal) => {
+        this.appendManagedOllamaLog(`[local-gate] exited (${signal || code})`);
+        if (this.__localGateOllamaProcess === child) {
+          this.__localGateOllamaProcess = null;
         }
-        const lowered = `${profile.id} ${profile.name}`.toLowerCase();
-        return !lowered.includes("default");
       });
+      this.__localGateOllamaProcess = child;
+      this.__localGateOllamaLaunch = { binary, apiBase, contextLength };
     }
 
-    await this.saveSettings();
+    const deadline = Date.now() + OLLAMA_SERVE_READY_TIMEOUT_MS;
+    while (Date.now() < deadline) {
+      const response = await this.fetchOllamaTags(apiBase);
+      if (response && response.status < 400) {
+        new Notice("Local Gate: started ollama serve.");
+        return;
+      }
+      if (!this.__localGateOllamaProcess) {
+        break;
+      }
+      await new Promise((resolve) => window.setTimeout(resolve, 500));
+    }
+    this.stopManagedOllama();
+    throw new Error("ollama serve did not become ready");
+  }
 
-    if (this.settings.publishProfilesToAgentClient && this.settings.autoSyncToAgentClientAfterScan) {
-      await this.syncProfilesToAgentClientAgents(true);
+  getManagedOllamaPendingContextLength() {
+    const launch = this.__localGateOllamaLaunch;
+    if (!this.__localGateOllamaProcess || !launch) {
+      return 0;
     }
+    const contextLength = this.getManagedOllamaContextLength();
+    return contextLength !== launch.contextLength ? contextLength : 0;
+  }
 
-    if (!silent) {
-      if (this.settings.discoveredModels.length > 0) {
-        new Notice(
-          `Local Gate: found ${this.settings.discoveredModels.length} model(s).` +
-            (errors.length > 0 ? ` Errors: ${errors.join(" | ")}` : "")
-        );
-      } else {
-        new Notice(`Local Gate: no model found.${errors.length > 0 ? ` ${errors.join(" | ")}` : ""}`);
-      }
+  async restartManagedOllama() {
+    const child = this.__localGateOllamaProcess;
+    const launch = this.__localGateOllamaLaunch;
+    if (!child || !launch) {
+      return;
+    }
+    const exited = new Promise((resolve) => child.once("exit", resolve));
+    this.stopManagedOllama();
+    try {
+      await withTimeout(exited, OLLAMA_SERVE_READY_TIMEOUT_MS, "ollama serve shutdown");
+    } catch (_error) {}
+    try {
+      await this.startManagedOllama(launch.binary, launch.apiBase);
+    } catch (error) {
+      new Notice(`Local Gate: could not restart ollama serve (${error.message}).`);
+    }
+  }
+
+  stopManagedOllama() {
+    const child = this.__localGateOllamaProcess;
+    if (!child) {
+      return;
+    }
+    this.__localGateOllamaProcess = null;
+    this.appendManagedOllamaLog("[local-gate] stopping ollama serve");
+    try {
+      child.kill("SIGTERM");
+    } catch (_error) {
     }
   }
 
-  async scanOllamaModels() {
-    const endpoint = toOpenAiEndpoint("ollama", this.settings.ollamaBaseUrl);
-    const apiBase = normalizeOllamaBaseUrl(this.settings.ollamaBaseUrl);
+  async scanOllamaModels(target = this.getOllamaHostTargets()[0], onProgress = null) {
+    const provider = target.provider;
+    const endpoint = toOpenAiEndpoint("ollama", target.baseUrl);
+    const apiBase = normalizeOllamaBaseUrl(target.baseUrl);
+    const cliEnv = target.primary ? {} : { OLLAMA_HOST: apiBase };
     const resolvedOllama = await resolveExecutable(this.settings.ollamaCommand || "ollama", [
       "/opt/homebrew/bin/ollama",
       "/usr/local/bin/ollama",
     ]);
     let listedNames = [];
     let listSource = "cli-list";
+    const digests = {};
 
     try {
-      const listOutput = await runCommand(resolvedOllama, ["list"], 8000);
+      const listOutput = await runCommand(resolvedOllama, ["list"], 8000, cliEnv);
       const lines = listOutput
         .split(/\r?\n/)
         .map((line) => line.trim())
         .filter((line) => line.length > 0);
+      lines.slice(1).forEach((line) => {
+        const [name, id] = line.split(/\s+/);
+        if (name && id) {
+          digests[name] = id.slice(0, 12);
+        }
+      });
       listedNames = [...new Set(lines.slice(1).map((line) => line.split(/\s+/)[0]).filter(Boolean))];
     } catch (_error) {
     }
 
     if (listedNames.length === 0) {
-      const tagsResponse = await requestUrl({
-        url: `${apiBase}/api/tags`,
-        method: "GET",
-        throw: false,
-      });
-      if (tagsResponse.status >= 400) {
-        throw new Error(`Could not scan via CLI or HTTP (${tagsResponse.status})`);
+      let tagsResponse = await this.fetchOllamaTags(apiBase);
+      if (!tagsResponse && target.primary && this.settings.autoStartOllama) {
+        await this.startManagedOllama(resolvedOllama, apiBase);
+        tagsResponse = await this.fetchOllamaTags(apiBase);
+      }
+      if (!tagsResponse || tagsResponse.status >= 400) {
+        throw new Error(`Could not scan via CLI or HTTP (${tagsResponse ? tagsResponse.status : "unreachable"})`);
       }
       const payload = tagsResponse.json;
       const list = Array.isArray(payload && payload.models) ? payload.models : [];
+      list.forEach((entry) => {
+        const name = sanitizeString(entry && (entry.model || entry.name), "");
+        const digest = sanitizeString(entry && entry.digest, "").replace(/^sha256:/, "");
+        if (name && digest) {
+          digests[name] = digest.slice(0, 12);
+        }
+      });
       listedNames = [...new Set(list.map((entry) => sanitizeString(entry && (entry.model || entry.name), "")).filter(Boolean))];
       listSource = "http-tags";
     }
@@ -3657,19 +8351,29 @@ class LocalGatePlugin extends Plugin {
       throw new Error("No models found from ollama list/api/tags");
     }
 
-    const models = [];
     let fromJson = 0;
     let fromText = 0;
     let fromHttp = 0;
     let inferredOnly = 0;
+    let fromCache = 0;
+    let inspected = 0;
+    const cache = this.settings.ollamaShowCache;
+    const label = providerLabel(provider, this.settings);
+    const pending = listedNames.filter((modelName) => {
+      const cached = cache[`${provider}:${modelName}`];
+      return !(cached && digests[modelName] && cached.digest === digests[modelName]);
+    });
+    if (onProgress && pending.length > 0) {
+      onProgress(`${label}: inspecting 0/${pending.length} model(s)...`);
+    }
 
-    for (const modelName of listedNames) {
+    const inspectModel = async (modelName) => {
       let capabilities = [];
       let contextLength = "";
       let discoverySource = "";
 
       try {
-        const showJsonOutput = await runCommand(resolvedOllama, ["show", modelName, "--json"], 6000);
+        const showJsonOutput = await runCommand(resolvedOllama, ["show", modelName, "--json"], 6000, cliEnv);
         const parsedJson = parseOllamaShowJson(showJsonOutput);
         if (parsedJson) {
           capabilities = sanitizeStringArray(parsedJson.capabilities);
@@ -3682,7 +8386,7 @@ class LocalGatePlugin extends Plugin {
 
       if (!discoverySource) {
         try {
-          const showOutput = await runCommand(resolvedOllama, ["show", modelName], 6000);
+          const showOutput = await runCommand(resolvedOllama, ["show", modelName], 6000, cliEnv);
           const parsedText = parseOllamaShow(showOutput);
           if (parsedText.capabilities.length > 0 || parsedText.contextLength) {
             capabilities = sanitizeStringArray(parsedText.capabilities);
@@ -3719,28 +8423,97 @@ class LocalGatePlugin extends Plugin {
       if (!discoverySource) {
         discoverySource = "inferred-from-name";
         inferredOnly += 1;
+      } else if (digests[modelName]) {
+        cache[`${provider}:${modelName}`] = {
+          provider,
+          digest: digests[modelName],
+          capabilities,
+          contextLength,
+          discoverySource,
+        };
+      }
+
+      inspected += 1;
+      if (onProgress) {
+        onProgress(`${label}: inspecting ${inspected}/${pending.length} model(s)...`);
       }
+      return { capabilities, contextLength, discoverySource };
+    };
+
+    const inspectedResults = await mapWithConcurrency(pending, OLLAMA_SHOW_CONCURRENCY, inspectModel);
+    const inspectedByName = new Map(pending.map((modelName, index) => [modelName, inspectedResults[index]]));
 
-      models.push({
-        key: `ollama:${modelName}`,
-        provider: "ollama",
+    const models = listedNames.map((modelName) => {
+      let details = inspectedByName.get(modelName);
+      if (!details) {
+        details = cache[`${provider}:${modelName}`];
+        fromCache += 1;
+      }
+      return {
+        key: `${provider}:${modelName}`,
+        provider,
         model: modelName,
         endpoint,
-        capabilities: inferModelCapabilities("ollama", modelName, capabilities),
-        contextLength,
-        discoverySource,
+        capabilities: inferModelCapabilities(provider, modelName, details.capabilities),
+        contextLength: details.contextLength,
+        discoverySource: details.discoverySource,
         detectionState: "detected",
-      });
-    }
+      };
+    });
+
+    const listedKeys = new Set(listedNames.map((modelName) => `${provider}:${modelName}`));
+    Object.entries(cache).forEach(([key, entry]) => {
+      if (entry.provider === provider && !listedKeys.has(key)) {
+        delete cache[key];
+      }
+    });
 
     const diagnostic =
-      `Ollama list ${listedNames.length} / detected ${models.length} / undetected ${Math.max(0, listedNames.length - models.length)}` +
-      ` (source: ${listSource}, capability json ${fromJson}, text ${fromText}, http ${fromHttp}, inferred ${inferredOnly})`;
+      `${label} list ${listedNames.length} / detected ${models.length} / undetected ${Math.max(0, listedNames.length - models.length)}` +
+      ` (source: ${listSource}, cached ${fromCache}, capability json ${fromJson}, text ${fromText}, http ${fromHttp}, inferred ${inferredOnly})`;
+    await this.fetchOllamaPs(provider);
     return { models, diagnostic };
   }
 
   async scanLmStudioModels() {
     const base = normalizeLmStudioBaseUrl(this.settings.lmStudioBaseUrl);
+    const nativeUrl = `${ensureNoTrailingSlash(base.replace(/\/v1$/, ""))}/api/v0/models`;
+    let nativeError = "";
+    try {
+      const response = await requestUrl({
+        url: nativeUrl,
+        method: "GET",
+        throw: false,
+      });
+      const payload = response.status < 400 ? response.json : null;
+      if (payload && Array.isArray(payload.data)) {
+        const discovered = payload.data
+          .map((entry) => parseLmStudioNativeModel(entry))
+          .filter(Boolean)
+          .map((entry) => ({
+            key: `lmstudio:${entry.model}`,
+            provider: "lmstudio",
+            model: entry.model,
+            endpoint: base,
+            capabilities: entry.capabilities,
+            contextLength: entry.contextLength,
+            discoverySource: "lmstudio-http-native",
+            detectionState: "detected",
+            loadState: entry.loadState,
+            quantization: entry.quantization,
+            architecture: entry.architecture,
+          }));
+        const loadedCount = discovered.filter((entry) => entry.loadState === "loaded").length;
+        return {
+          models: discovered,
+          diagnostic: `LM Studio list ${discovered.length} / detected ${discovered.length} / loaded ${loadedCount} (source: ${nativeUrl})`,
+        };
+      }
+      nativeError = `HTTP ${response.status} at ${nativeUrl}`;
+    } catch (error) {
+      nativeError = error.message;
+    }
+
     const attempts = [`${base}/models`, `${ensureNoTrailingSlash(base.replace(/\/v1$/, ""))}/v1/models`];
     let lastError = "";
 
@@ -3774,16 +8547,119 @@ class LocalGatePlugin extends Plugin {
           models: discovered,
           diagnostic: `LM Studio list ${discovered.length} / detected ${discovered.length} / undetected 0 (source: ${url})`,
         };
-      } catch (error) {
-        lastError = error.message;
-      }
-    }
-
-    throw new Error(lastError || "LM Studio endpoint not reachable");
+      } catch (error) {
+        lastError = error.message;
+      }
+    }
+
+    throw new Error(lastError || nativeError || "LM Studio endpoint not reachable");
+  }
+
+  async scanLlamaCppModels() {
+    const apiBase = normalizeLlamaCppBaseUrl(this.settings.llamaCppBaseUrl);
+    const endpoint = toOpenAiEndpoint("llamacpp", apiBase);
+    const modelsResponse = await requestUrl({
+      url: `${apiBase}/v1/models`,
+      method: "GET",
+      throw: false,
+    });
+    if (modelsResponse.status >= 400) {
+      throw new Error(`HTTP ${modelsResponse.status} at ${apiBase}/v1/models`);
+    }
+    const payload = modelsResponse.json;
+    const entries = Array.isArray(payload && payload.data) ? payload.data : [];
+
+    let props = null;
+    try {
+      const propsResponse = await requestUrl({
+        url: `${apiBase}/props`,
+        method: "GET",
+        throw: false,
+      });
+      if (propsResponse.status < 400) {
+        props = parseLlamaCppProps(propsResponse.json);
+      }
+    } catch (_error) {
+    }
+
+    const discovered = entries
+      .map((entry) => {
+        const modelId = sanitizeString(entry && entry.id, "");
+        if (!modelId) {
+          return null;
+        }
+        const meta = entry && entry.meta && typeof entry.meta === "object" ? entry.meta : {};
+        const trainedContext = meta.n_ctx_train != null && Number(meta.n_ctx_train) > 0 ? String(meta.n_ctx_train) : "";
+        return {
+          key: `llamacpp:${modelId}`,
+          provider: "llamacpp",
+          model: modelId,
+          endpoint,
+          capabilities: props ? props.capabilities : inferModelCapabilities("llamacpp", modelId, []),
+          contextLength: (props && props.contextLength) || trainedContext,
+          discoverySource: props ? "llamacpp-http-props" : "llamacpp-http-models",
+          detectionState: "detected",
+        };
+      })
+      .filter(Boolean);
+    return {
+      models: discovered,
+      diagnostic:
+        `llama.cpp list ${discovered.length} / detected ${discovered.length} / undetected 0` +
+        ` (source: ${apiBase}/v1/models, props ${props ? "ok" : "unavailable"})`,
+    };
+  }
+
+  async scanCustomEndpointModels(entry) {
+    const base = normalizeCustomEndpointBaseUrl(entry.baseUrl);
+    const provider = toCustomProviderKey(entry.id);
+    const url = `${base}/models`;
+    const response = await requestUrl({
+      url,
+      method: "GET",
+      headers: sanitizeHeaderRecord(entry.headers),
+      throw: false,
+    });
+    if (response.status >= 400) {
+      throw new Error(`HTTP ${response.status} at ${url}`);
+    }
+    const payload = response.json;
+    const list = Array.isArray(payload && payload.data) ? payload.data : [];
+    const discovered = list
+      .map((item) => {
+        const modelId = sanitizeString(item && item.id, "");
+        if (!modelId) {
+          return null;
+        }
+        const maxModelLen = item && Number(item.max_model_len) > 0 ? String(item.max_model_len) : "";
+        return {
+          key: `${provider}:${modelId}`,
+          provider,
+          model: modelId,
+          endpoint: base,
+          capabilities: inferModelCapabilities(provider, modelId, []),
+          contextLength: maxModelLen,
+          discoverySource: "custom-http-models",
+          detectionState: "detected",
+        };
+      })
+      .filter(Boolean);
+    return {
+      models: discovered,
+      diagnostic: `${entry.label} list ${discovered.length} / detected ${discovered.length} / undetected 0 (source: ${url})`,
+    };
   }
 
   resolveWireApiForModel(provider, modelName, capabilities = []) {
     const normalizedProvider = sanitizeString(provider, "");
+    const override = this.settings.modelOverrides[`${normalizedProvider}:${sanitizeString(modelName, "")}`];
+    if (override && override.wireApi) {
+      return override.wireApi;
+    }
+    const custom = findCustomEndpoint(this.settings, normalizedProvider);
+    if (custom) {
+      return custom.wireApi;
+    }
     const loweredModel = sanitizeString(modelName, "").toLowerCase();
     const caps = normalizeCapabilities(capabilities);
     const hasVision =
@@ -3792,16 +8668,14 @@ class LocalGatePlugin extends Plugin {
     if (hasVision && this.settings.preferChatCompletionsForVision !== false) {
       return "chat_completions";
     }
-    if (normalizedProvider === "ollama" || normalizedProvider === "lmstudio") {
-      return "responses";
+    if (providerKind(normalizedProvider) === "llamacpp") {
+      return "chat_completions";
     }
     return "responses";
   }
 
   resolveWireApiForProfile(profile) {
-    const normalized = sanitizeProfile(profile, 0, {
-      allowNonToolsChatModels: this.settings.allowNonToolsChatModels,
-    });
+    const normalized = sanitizeProfile(profile, 0, this.compatibilityOptions());
     return this.resolveWireApiForModel(normalized.provider, normalized.model, normalized.capabilities);
   }
 
@@ -3810,12 +8684,23 @@ class LocalGatePlugin extends Plugin {
     if (fromProfile.length > 0) {
       return fromProfile;
     }
+    const custom = findCustomEndpoint(this.settings, provider);
+    if (custom) {
+      return toOpenAiEndpoint(provider, custom.baseUrl);
+    }
+    const host = findOllamaHost(this.settings, provider);
+    if (host) {
+      return toOpenAiEndpoint(provider, host.baseUrl);
+    }
     if (provider === "lmstudio") {
       return toOpenAiEndpoint("lmstudio", this.settings.lmStudioBaseUrl);
     }
     if (provider === "ollama") {
       return toOpenAiEndpoint("ollama", this.settings.ollamaBaseUrl);
     }
+    if (provider === "llamacpp") {
+      return toOpenAiEndpoint("llamacpp", this.settings.llamaCppBaseUrl);
+    }
     return "";
   }
 
@@ -3840,11 +8725,10 @@ class LocalGatePlugin extends Plugin {
         .map((entry) => entry.model)
     ).forEach(addModel);
 
+    const compatibility = this.compatibilityOptions();
     this.settings.profiles
       .map((entry, index) =>
-        sanitizeProfile(entry, index, {
-          allowNonToolsChatModels: this.settings.allowNonToolsChatModels,
-        })
+        sanitizeProfile(entry, index, compatibility)
       )
       .filter((entry) => entry.provider === normalizedProvider && entry.compatible)
       .map((entry) => sanitizeString(entry.model, deriveModelName(entry)))
@@ -4008,23 +8892,43 @@ class LocalGatePlugin extends Plugin {
 
   detectProviderFromAgentId(agentId) {
     const id = sanitizeString(agentId, "").toLowerCase();
+    const standalone = this.findProfileByAgentId(id);
+    if (standalone) {
+      return standalone.provider;
+    }
+    const configured = this.getConfiguredProviders().find((provider) => this.toProviderAgentId(provider) === id);
+    if (configured) {
+      return configured;
+    }
     if (id.includes("ollama")) {
       return "ollama";
     }
     if (id.includes("lmstudio")) {
       return "lmstudio";
     }
+    if (id.includes("llamacpp") || id.includes("llama-cpp")) {
+      return "llamacpp";
+    }
     return "";
   }
 
   detectProviderFromDisplayName(displayName) {
     const lowered = sanitizeString(displayName, "").toLowerCase();
+    const configured = this.getConfiguredProviders().find(
+      (provider) => providerAgentDisplayName(provider, this.settings).toLowerCase() === lowered
+    );
+    if (configured) {
+      return configured;
+    }
     if (lowered.includes("ollama")) {
       return "ollama";
     }
     if (lowered.includes("lm studio") || lowered.includes("lmstudio")) {
       return "lmstudio";
     }
+    if (lowered.includes("llama.cpp") || lowered.includes("llamacpp")) {
+      return "llamacpp";
+    }
     return "";
   }
 
@@ -4039,11 +8943,10 @@ class LocalGatePlugin extends Plugin {
       return sanitizeString(discovered.provider, "");
     }
 
+    const compatibility = this.compatibilityOptions();
     const profile = this.settings.profiles
       .map((entry, index) =>
-        sanitizeProfile(entry, index, {
-          allowNonToolsChatModels: this.settings.allowNonToolsChatModels,
-        })
+        sanitizeProfile(entry, index, compatibility)
       )
       .find((entry) => sanitizeString(entry.model, deriveModelName(entry)) === model);
     if (profile) {
@@ -4062,10 +8965,9 @@ class LocalGatePlugin extends Plugin {
     if (!safeProvider || !safeModel) {
       return null;
     }
+    const compatibility = this.compatibilityOptions();
     const normalizedProfiles = this.settings.profiles.map((entry, index) =>
-      sanitizeProfile(entry, index, {
-        allowNonToolsChatModels: this.settings.allowNonToolsChatModels,
-      })
+      sanitizeProfile(entry, index, compatibility)
     );
     const exact = normalizedProfiles.find(
       (entry) => entry.provider === safeProvider && sanitizeString(entry.model, deriveModelName(entry)) === safeModel
@@ -4078,15 +8980,13 @@ class LocalGatePlugin extends Plugin {
       (entry) => entry.provider === safeProvider && sanitizeString(entry.model, "") === safeModel
     );
     if (discovered) {
-      return sanitizeProfile(this.createProfileFromDiscovered(discovered), 0, {
-        allowNonToolsChatModels: this.settings.allowNonToolsChatModels,
-      });
+      return sanitizeProfile(this.createProfileFromDiscovered(discovered), 0, compatibility);
     }
 
     return sanitizeProfile(
       {
         id: `${safeProvider}-${slugify(safeModel) || "model"}-adhoc`,
-        name: `${providerLabel(safeProvider)}: ${safeModel}`,
+        name: `${providerLabel(safeProvider, this.settings)}: ${safeModel}`,
         provider: safeProvider,
         model: safeModel,
         endpoint: this.getProviderEndpoint(safeProvider, null),
@@ -4097,18 +8997,16 @@ class LocalGatePlugin extends Plugin {
         setAsDefaultAgent: true,
       },
       0,
-      {
-        allowNonToolsChatModels: this.settings.allowNonToolsChatModels,
-      }
+      compatibility
     );
   }
 
   async syncSelectedModelFromView(view, silent = true) {
-    if (this.__localGateModelSyncInFlight) {
+    if (this.__localGateModelSyncInFlight || this.resolveStandaloneProfileForView(view)) {
       return false;
     }
     const provider = this.resolveProviderForView(view);
-    if (!provider || (provider !== "ollama" && provider !== "lmstudio")) {
+    if (!provider || !this.getConfiguredProviders().includes(provider)) {
       return false;
     }
     const currentModelRaw = this.getCurrentModelFromView(view);
@@ -4137,7 +9035,7 @@ class LocalGatePlugin extends Plugin {
       await this.saveSettings();
       this.__localGateModelSyncState[provider] = currentModel;
       if (!silent) {
-        new Notice(`Local Gate: applied selected model ${currentModel} (${providerLabel(provider)}).`);
+        new Notice(`Local Gate: applied selected model ${currentModel} (${providerLabel(provider, this.settings)}).`);
       }
       return true;
     } catch (_error) {
@@ -4385,7 +9283,33 @@ class LocalGatePlugin extends Plugin {
     return patched;
   }
 
+  resolveStandaloneProfileForView(view) {
+    const currentAgent = this.getCurrentAgentFromView(view);
+    const candidates = ["selectedAgentId", "currentAgentId", "agentId", "activeAgentId"].map((key) => view && view[key]);
+    if (currentAgent) {
+      candidates.push(currentAgent.id, currentAgent.agentId);
+    }
+    for (const candidate of candidates) {
+      const profile = this.findProfileByAgentId(candidate);
+      if (profile) {
+        return profile;
+      }
+    }
+    return null;
+  }
+
   resolveRuntimeContextForView(view) {
+    const standalone = this.resolveStandaloneProfileForView(view);
+    if (standalone) {
+      const wireApi = this.resolveWireApiForProfile(standalone);
+      return {
+        provider: standalone.provider,
+        model: sanitizeString(standalone.model, deriveModelName(standalone)),
+        wireApi,
+        isVision: wireApi === "chat_completions",
+        profile: standalone,
+      };
+    }
     const provider = sanitizeString(this.resolveProviderForView(view), "");
     const model = sanitizeString(this.normalizeModelOptionKey(this.getCurrentModelFromView(view)), "");
     if (!provider || !model) {
@@ -4405,6 +9329,7 @@ class LocalGatePlugin extends Plugin {
       model,
       wireApi,
       isVision: wireApi === "chat_completions",
+      profile: profile || null,
     };
   }
 
@@ -4749,9 +9674,12 @@ class LocalGatePlugin extends Plugin {
     }
     const sanitized = this.sanitizeInlineContextInViewInput(currentView);
     const runtimeContext = this.resolveRuntimeContextForView(currentView);
+    const systemPrompt = this.injectProfileSystemPrompt(currentView, sendArgs, runtimeContext);
     this.applySendRuntimeGuards(sendArgs, runtimeContext, sanitized.inlineContextOnly);
     const payloadShape = this.extractSendPayloadShape(sendArgs, currentView);
-    const shouldTrace = sanitized.inlineContextOnly || runtimeContext.isVision || payloadShape.imageLikeCount > 0;
+    const logSystemPrompt = Boolean(systemPrompt) && this.settings.logInjectedSystemPrompt === true;
+    const shouldTrace =
+      sanitized.inlineContextOnly || runtimeContext.isVision || payloadShape.imageLikeCount > 0 || logSystemPrompt;
     if (shouldTrace) {
       this.logSendDiagnostics("info", {
         phase: "before-send",
@@ -4761,6 +9689,7 @@ class LocalGatePlugin extends Plugin {
         wireApi: runtimeContext.wireApi || "responses",
         inlineContextOnly: sanitized.inlineContextOnly,
         payloadShape,
+        ...(logSystemPrompt ? { systemPrompt } : {}),
       });
     }
     const syncPromise = currentView
@@ -4867,6 +9796,19 @@ class LocalGatePlugin extends Plugin {
       }
     });
 
+    const newSessionMethodCandidates = [
+      "newChat",
+      "startNewChat",
+      "newSession",
+      "startNewSession",
+      "createNewSession",
+      "clearChat",
+      "clearMessages",
+      "resetChat",
+      "restartSession",
+      "restartAgent",
+    ];
+
     const views = typeof plugin.getAllChatViews === "function" ? plugin.getAllChatViews() : [];
     if (Array.isArray(views)) {
       views.forEach((view) => {
@@ -4878,6 +9820,11 @@ class LocalGatePlugin extends Plugin {
             patched = true;
           }
         });
+        newSessionMethodCandidates.forEach((methodName) => {
+          if (this.patchNewSessionMethodOnTarget(view, methodName, view)) {
+            patched = true;
+          }
+        });
       });
     }
     return patched;
@@ -4920,13 +9867,11 @@ class LocalGatePlugin extends Plugin {
   }
 
   async enforceProviderAgentModel(profile) {
-    const normalized = sanitizeProfile(profile, 0, {
-      allowNonToolsChatModels: this.settings.allowNonToolsChatModels,
-    });
+    const normalized = sanitizeProfile(profile, 0, this.compatibilityOptions());
     const provider = sanitizeString(normalized.provider, "");
     const model = sanitizeString(normalized.model, deriveModelName(normalized));
     if (!provider || !model) {
-      return;
+      return false;
     }
 
     const path = normalizePath(this.settings.agentClientSettingsPath);
@@ -4935,39 +9880,41 @@ class LocalGatePlugin extends Plugin {
     const targetId = this.toProviderAgentId(provider);
     const targetIndex = customAgents.findIndex((agent) => sanitizeString(agent && agent.id, "") === targetId);
     if (targetIndex < 0) {
-      return;
+      return false;
     }
 
-    const launch = await this.buildCodexAcpLaunchSpec(this.settings.codexAcpCommand || "codex-acp");
-    const endpoint = this.getProviderEndpoint(provider, normalized);
+    const launch = await this.resolveProfileLaunch(normalized);
     const wireApi = this.resolveWireApiForProfile(normalized);
-    const nextArgs = [...launch.argsPrefix, ...buildProviderCodexArgs(provider, endpoint, model, { wireApi })];
+    const nextArgs = this.buildProfileAgentArgs(normalized, launch);
     const existing = customAgents[targetIndex] || {};
-    const nextEnv = sanitizeStringArray(existing.env);
-    if (!nextEnv.some((entry) => entry.startsWith("PATH="))) {
-      nextEnv.unshift(`PATH=${buildExecPathEnv()}`);
-    }
+    const nextEnv = this.buildAgentEnv(
+      provider,
+      sanitizeStringArray(normalized.env).length > 0 ? normalized.env : existing.env
+    );
 
-    customAgents[targetIndex] = {
+    const nextAgent = {
       ...existing,
       id: targetId,
-      displayName: providerAgentDisplayName(provider),
+      displayName: providerAgentDisplayName(provider, this.settings),
       command: launch.command,
       args: nextArgs,
       env: nextEnv,
       ...this.buildAgentModelHintFields(provider, model),
     };
+    const runtimeExpectation = { provider, model, wireApi };
+    if (sameJson(nextAgent, existing) && (!launch.nodePath || data.nodePath === launch.nodePath)) {
+      const plugin = this.getAgentClientPlugin();
+      if (plugin && this.runtimeExpectationNeedsRestart(runtimeExpectation)) {
+        await this.restartAgentClientSessions(plugin);
+      }
+      return true;
+    }
+    customAgents[targetIndex] = nextAgent;
     data.customAgents = customAgents;
     if (launch.nodePath) {
       data.nodePath = launch.nodePath;
     }
-    await this.persistAgentClientSettings(path, data, {
-      runtimeExpectation: {
-        provider,
-        model,
-        wireApi,
-      },
-    });
+    return this.persistAgentClientSettings(path, data, { runtimeExpectation });
   }
 
   async callOptionalMethod(target, methodName, args = []) {
@@ -5051,6 +9998,9 @@ class LocalGatePlugin extends Plugin {
         restarted = true;
       }
     }
+    if (restarted) {
+      this.resetSystemPromptSession();
+    }
 
     const views = typeof plugin.getAllChatViews === "function" ? plugin.getAllChatViews() : [];
     if (Array.isArray(views)) {
@@ -5064,6 +10014,7 @@ class LocalGatePlugin extends Plugin {
         for (const methodName of viewRestartMethods) {
           if (await this.callOptionalMethod(view, methodName, [])) {
             restarted = true;
+            this.resetSystemPromptSession(view);
           }
         }
       }
@@ -5120,15 +10071,14 @@ class LocalGatePlugin extends Plugin {
 
     const nextSettings = clone(settingsObject);
     let updated = false;
-    try {
-      if (typeof plugin.saveSettingsAndNotify === "function") {
+    if (typeof plugin.saveSettingsAndNotify === "function") {
+      try {
         await plugin.saveSettingsAndNotify(nextSettings);
         updated = true;
+      } catch (_error) {
+        return false;
       }
-    } catch (_error) {
-    }
-
-    if (!updated) {
+    } else {
       try {
         plugin.settings = nextSettings;
         if (typeof plugin.ensureDefaultAgentId === "function") {
@@ -5147,19 +10097,6 @@ class LocalGatePlugin extends Plugin {
       }
     }
 
-    if (!updated) {
-      try {
-        if (typeof plugin.loadSettings === "function") {
-          await plugin.loadSettings();
-          if (plugin.settingsStore && typeof plugin.settingsStore.set === "function") {
-            plugin.settingsStore.set(plugin.settings);
-          }
-          updated = true;
-        }
-      } catch (_error) {
-      }
-    }
-
     if (updated) {
       this.patchAgentClientModelPicker(plugin);
       this.patchAgentClientModelSelectionHooks(plugin);
@@ -5173,9 +10110,321 @@ class LocalGatePlugin extends Plugin {
     return updated;
   }
 
-  async persistAgentClientSettings(path, data, options = {}) {
-    await this.updateAgentClientRuntime(data, options);
-    await this.app.vault.adapter.write(path, `${JSON.stringify(data, null, 2)}\n`);
+  async mergeExternalAgentClientChanges(path, data) {
+    const base = this.__localGateAgentClientBase;
+    if (!base || base.path !== path || !base.data || !(await this.app.vault.adapter.exists(path))) {
+      return data;
+    }
+    const currentRaw = await this.app.vault.adapter.read(path);
+    if (hashText(currentRaw) === base.hash) {
+      return data;
+    }
+    let theirs = null;
+    try {
+      theirs = JSON.parse(currentRaw);
+    } catch (_error) {
+      return data;
+    }
+    const { conflicts, finalize } = mergeAgentClientSettings(base.data, data, theirs);
+    if (conflicts.length > 0) {
+      const choices = await new Promise((resolve) => {
+        new LocalGateMergeConflictModal(this.app, conflicts, resolve).open();
+      });
+      if (!choices) {
+        return null;
+      }
+      conflicts.forEach((conflict, index) => {
+        if (choices[index] === "ours") {
+          conflict.assign(conflict.ours);
+        }
+      });
+    }
+    new Notice("Local Gate: merged external changes to Agent Client settings.");
+    return finalize();
+  }
+
+  async persistAgentClientSettings(path, rawData, options = {}) {
+    this.__localGateAgentClientWriting = true;
+    try {
+      return await this.writeAgentClientSettings(path, rawData, options);
+    } finally {
+      this.__localGateAgentClientWriting = false;
+    }
+  }
+
+  async writeAgentClientSettings(path, rawData, options) {
+    await this.ensureParentFolder(path);
+    const data = options.skipMerge ? rawData : await this.mergeExternalAgentClientChanges(path, rawData);
+    if (!data) {
+      new Notice("Local Gate: Agent Client settings write cancelled.");
+      return false;
+    }
+    const previousRaw = await this.backupAgentClientSettings(path);
+    const updated = await this.updateAgentClientRuntime(data, options);
+    if (!updated && this.getAgentClientPlugin() && previousRaw != null) {
+      await this.app.vault.adapter.write(path, previousRaw);
+      try {
+        await this.updateAgentClientRuntime(JSON.parse(previousRaw));
+      } catch (_error) {
+      }
+      new Notice("Local Gate: Agent Client refused the new settings. Rolled back to the previous data.json.");
+      return false;
+    }
+    const nextRaw = `${JSON.stringify(data, null, 2)}\n`;
+    await this.app.vault.adapter.write(path, nextRaw);
+    await this.saveAgentClientBase({ path, hash: hashText(nextRaw), data: clone(data) });
+    return true;
+  }
+
+  async captureAgentClientOriginals() {
+    if (this.settings.agentClientOriginals) {
+      return;
+    }
+    const path = normalizePath(this.settings.agentClientSettingsPath);
+    const previous = await this.readAgentClientSettings(path);
+    const codex = isPlainObject(previous.codex) ? previous.codex : {};
+    const touched =
+      previous.customAgents.some((agent) => sanitizeString(agent && agent.id, "").startsWith("local-gate-")) ||
+      sanitizeString(previous.defaultAgentId, "").startsWith("local-gate-") ||
+      this.isLocalOverrideArgs(codex.args);
+    const trusted = this.__localGateFreshInstall === true && !touched;
+    this.settings.agentClientOriginals = sanitizeAgentClientOriginals({
+      trusted,
+      codexCommand: trusted ? codex.command : "",
+      codexArgs: trusted ? codex.args : [],
+      nodePath: trusted ? previous.nodePath : "",
+      recordedAt: new Date().toISOString(),
+    });
+    await this.saveSettings();
+  }
+
+  async planAgentClientCleanup() {
+    const path = normalizePath(this.settings.agentClientSettingsPath);
+    if (!(await this.app.vault.adapter.exists(path))) {
+      return { path, data: null, changes: [], unchanged: [] };
+    }
+    const data = await this.readAgentClientSettings(path);
+    const originals = this.settings.agentClientOriginals || sanitizeAgentClientOriginals({});
+    const changes = [];
+    const unchanged = [];
+    const customAgents = Array.isArray(data.customAgents) ? data.customAgents : [];
+    const generated = customAgents.filter((agent) => sanitizeString(agent && agent.id, "").startsWith("local-gate-"));
+    if (generated.length > 0) {
+      data.customAgents = customAgents.filter((agent) => !generated.includes(agent));
+      generated.forEach((agent) => changes.push(`Removed agent ${sanitizeString(agent.displayName, agent.id)} (${agent.id})`));
+    }
+    const defaultAgentId = sanitizeString(data.defaultAgentId, "");
+    if (defaultAgentId.startsWith("local-gate-")) {
+      data.defaultAgentId = "codex-acp";
+      changes.push(`defaultAgentId: ${defaultAgentId} -> codex-acp`);
+    }
+    if (!originals.trusted) {
+      const launch = await this.buildCodexAcpLaunchSpec(this.settings.codexAcpCommand || "codex-acp");
+      if (isPlainObject(data.codex)) {
+        const args = sanitizeStringArray(data.codex.args);
+        let nextArgs = this.stripLocalOverrideArgs(args);
+        const prefixLength = launch.argsPrefix.length;
+        if (prefixLength > 0 && sanitizeString(data.codex.command, "") === launch.command) {
+          changes.push(`codex.command: ${launch.command} -> codex-acp`);
+          data.codex.command = "codex-acp";
+          if (sameJson(nextArgs.slice(0, prefixLength), launch.argsPrefix)) {
+            nextArgs = nextArgs.slice(prefixLength);
+          }
+        }
+        if (!sameJson(nextArgs, args)) {
+          changes.push(`codex.args: ${JSON.stringify(args)} -> ${JSON.stringify(nextArgs)}`);
+          data.codex.args = nextArgs;
+        }
+      }
+      if (launch.nodePath && sanitizeString(data.nodePath, "") === launch.nodePath) {
+        changes.push(`nodePath: ${launch.nodePath} -> (removed)`);
+        delete data.nodePath;
+      }
+      unchanged.push(
+        "Other codex.command, codex.args and nodePath values: left unchanged (values before Local Gate are unknown)"
+      );
+    } else if (isPlainObject(data.codex)) {
+      const command = originals.codexCommand || "codex-acp";
+      if (sanitizeString(data.codex.command, "") !== command) {
+        changes.push(`codex.command: ${sanitizeString(data.codex.command, "(none)")} -> ${command}`);
+        data.codex.command = command;
+      }
+      if (!sameJson(sanitizeStringArray(data.codex.args), originals.codexArgs)) {
+        changes.push(`codex.args: ${JSON.stringify(data.codex.args || [])} -> ${JSON.stringify(originals.codexArgs)}`);
+        data.codex.args = [...originals.codexArgs];
+      }
+    }
+    const nodePath = sanitizeString(data.nodePath, "");
+    if (originals.trusted && nodePath !== originals.nodePath) {
+      changes.push(`nodePath: ${nodePath || "(none)"} -> ${originals.nodePath || "(removed)"}`);
+      if (originals.nodePath) {
+        data.nodePath = originals.nodePath;
+      } else {
+        delete data.nodePath;
+      }
+    }
+    return { path, data, changes, unchanged };
+  }
+
+  async offerAgentClientCleanup(quiet = false) {
+    let plan = null;
+    try {
+      plan = await this.planAgentClientCleanup();
+    } catch (error) {
+      new Notice(`Local Gate: cleanup check failed (${error.message}).`);
+      return;
+    }
+    if (plan.changes.length === 0) {
+      if (!quiet) {
+        new Notice("Local Gate: nothing to clean up in Agent Client settings.");
+      }
+      return;
+    }
+    new LocalGateConfirmModal(
+      this.app,
+      "Clean Up Agent Client Settings",
+      `Remove what Local Gate added to Agent Client?\n\n${[...plan.changes, ...plan.unchanged].join("\n")}`,
+      "Clean up",
+      async () => {
+        await this.applyAgentClientCleanup(plan);
+      }
+    ).open();
+  }
+
+  async applyAgentClientCleanup(plan) {
+    const written = await this.persistAgentClientSettings(plan.path, plan.data);
+    if (!written) {
+      return;
+    }
+    if (this.settings.publishProfilesToAgentClient) {
+      this.settings.publishProfilesToAgentClient = false;
+      plan.changes.push("Local Gate: turned off 'Publish profiles to Agent Client'");
+    }
+    this.settings.activeProfileByProvider = {};
+    await this.saveSettings();
+    new Notice(`Local Gate: cleaned up Agent Client settings.\n${plan.changes.join("\n")}`, 15000);
+  }
+
+  async handleAgentClientSettingsFileChange(changedPath) {
+    const path = normalizePath(this.settings.agentClientSettingsPath);
+    const base = this.__localGateAgentClientBase;
+    if (changedPath !== path || this.__localGateAgentClientWriting || !base || base.path !== path) {
+      return;
+    }
+    try {
+      const hash = (await this.app.vault.adapter.exists(path)) ? hashText(await this.app.vault.adapter.read(path)) : "";
+      if (hash !== base.hash && hash !== this.__localGateAgentClientExternalHash) {
+        this.__localGateAgentClientExternalHash = hash;
+        new Notice("Local Gate: Agent Client settings changed outside Local Gate. The next sync will merge instead of overwrite.");
+      }
+    } catch (_error) {
+    }
+  }
+
+  async loadAgentClientBase() {
+    this.__localGateAgentClientBase = null;
+    try {
+      const stored = JSON.parse(await this.app.vault.adapter.read(this.getAgentClientBasePath()));
+      if (isPlainObject(stored) && typeof stored.path === "string" && typeof stored.hash === "string") {
+        this.__localGateAgentClientBase = { path: stored.path, hash: stored.hash, data: stored.data || null };
+      }
+    } catch (_error) {}
+  }
+
+  async saveAgentClientBase(base) {
+    this.__localGateAgentClientBase = base;
+    try {
+      await this.app.vault.adapter.write(this.getAgentClientBasePath(), JSON.stringify(base));
+    } catch (error) {
+      new Notice(`Local Gate: could not save the Agent Client merge base (${error.message}).`);
+    }
+  }
+
+  getAgentClientBasePath() {
+    return normalizePath(`${this.manifest.dir}/${AGENT_CLIENT_BASE_FILE}`);
+  }
+
+  getAgentClientBackupFolder() {
+    return normalizePath(`${this.manifest.dir}/${AGENT_CLIENT_BACKUP_FOLDER}`);
+  }
+
+  async listAgentClientBackups() {
+    const folder = this.getAgentClientBackupFolder();
+    if (!(await this.app.vault.adapter.exists(folder))) {
+      return [];
+    }
+    const listed = await this.app.vault.adapter.list(folder);
+    return listed.files
+      .filter((file) => file.endsWith(".json"))
+      .sort()
+      .reverse()
+      .map((file) => {
+        const stamp = file.split("/").pop().replace(/^data-/, "").replace(/\.json$/, "");
+        return {
+          path: file,
+          label: stamp.replace(/^(\d{4}-\d{2}-\d{2})T(\d{2})-(\d{2})-(\d{2}).*$/, "$1 $2:$3:$4"),
+        };
+      });
+  }
+
+  async backupAgentClientSettings(path) {
+    if (!(await this.app.vault.adapter.exists(path))) {
+      return null;
+    }
+    const raw = await this.app.vault.adapter.read(path);
+    const base = this.__localGateAgentClientBase;
+    if (base && base.path === path && base.hash === hashText(raw)) {
+      return raw;
+    }
+    try {
+      const backups = await this.listAgentClientBackups();
+      if (backups.length > 0 && (await this.app.vault.adapter.read(backups[0].path)) === raw) {
+        return raw;
+      }
+      const folder = this.getAgentClientBackupFolder();
+      if (!(await this.app.vault.adapter.exists(folder))) {
+        await this.app.vault.adapter.mkdir(folder);
+      }
+      const stamp = new Date().toISOString().replace(/[:.]/g, "-");
+      await this.app.vault.adapter.write(normalizePath(`${folder}/data-${stamp}.json`), raw);
+      const stale = (await this.listAgentClientBackups()).slice(AGENT_CLIENT_BACKUP_LIMIT);
+      for (const backup of stale) {
+        await this.app.vault.adapter.remove(backup.path);
+      }
+    } catch (error) {
+      new Notice(`Local Gate: could not back up Agent Client settings (${error.message}).`);
+    }
+    return raw;
+  }
+
+  async openAgentClientRestore() {
+    const backups = await this.listAgentClientBackups();
+    if (backups.length === 0) {
+      new Notice("Local Gate: no Agent Client settings backups yet.");
+      return;
+    }
+    const path = normalizePath(this.settings.agentClientSettingsPath);
+    new LocalGateAgentClientBackupSuggestModal(this.app, backups, async (backup) => {
+      const current = (await this.app.vault.adapter.exists(path)) ? await this.app.vault.adapter.read(path) : "";
+      const selected = await this.app.vault.adapter.read(backup.path);
+      new LocalGateDiffModal(this.app, `Restore Agent Client Settings: ${backup.label}`, current, selected, "Restore", async () => {
+        await this.restoreAgentClientBackup(path, selected, backup.label);
+      }).open();
+    }).open();
+  }
+
+  async restoreAgentClientBackup(path, raw, label) {
+    let data = null;
+    try {
+      data = JSON.parse(raw);
+    } catch (error) {
+      new Notice(`Local Gate: backup is not valid JSON (${error.message}).`);
+      return;
+    }
+    const restored = await this.persistAgentClientSettings(path, data, { skipMerge: true });
+    if (restored) {
+      new Notice(`Local Gate: restored Agent Client settings from ${label}.`);
+    }
   }
 
   async syncProfilesToAgentClientAgents(
@@ -5183,58 +10432,83 @@ class LocalGatePlugin extends Plugin {
     preferredDefaultAgentId = "",
     preferredProfileIdsByProvider = {}
   ) {
+    const plan = await this.buildAgentClientSyncPlan(preferredDefaultAgentId, preferredProfileIdsByProvider);
+    return this.applyAgentClientSyncPlan(plan, silent);
+  }
+
+  async buildAgentClientSyncPlan(preferredDefaultAgentId = "", preferredProfileIdsByProvider = {}) {
     const path = normalizePath(this.settings.agentClientSettingsPath);
-    const data = await this.readOrCreateAgentClientSettings(path);
+    const data = await this.readAgentClientSettings(path);
+    const before = clone(data);
+    const activeProfileByProvider = {};
     const customAgents = Array.isArray(data.customAgents) ? data.customAgents : [];
     const kept = customAgents.filter((agent) => !String(agent && agent.id || "").startsWith("local-gate-"));
 
-    const launch = await this.buildCodexAcpLaunchSpec(this.settings.codexAcpCommand || "codex-acp");
+    const launchCache = new Map();
+    let nodePath = "";
+    const compatibility = this.compatibilityOptions();
     const normalizedProfiles = this.settings.profiles.map((profile, index) =>
-      sanitizeProfile(profile, index, {
-        allowNonToolsChatModels: this.settings.allowNonToolsChatModels,
-      })
+      sanitizeProfile(profile, index, compatibility)
     );
     const compatibleProfiles = normalizedProfiles.filter((profile) => profile.compatible);
-    const supportedProviders = ["ollama", "lmstudio"];
-    const providersToGenerate = supportedProviders.filter((provider) =>
+    const configuredProviders = this.getConfiguredProviders();
+    const providersToGenerate = configuredProviders.filter((provider) =>
       compatibleProfiles.some((profile) => profile.provider === provider)
     );
 
-    const generated = providersToGenerate
-      .map((provider) => {
-        const preferredProfile = this.getPreferredProfileForProvider(
-          provider,
-          compatibleProfiles,
-          preferredProfileIdsByProvider[provider]
-        );
-        if (!preferredProfile) {
-          return null;
-        }
-        const selectedModel = sanitizeString(preferredProfile.model, deriveModelName(preferredProfile));
-        const endpoint = this.getProviderEndpoint(provider, preferredProfile);
-        const wireApi = this.resolveWireApiForProfile(preferredProfile);
-        const baseEnv = sanitizeStringArray(preferredProfile.env);
-        if (!baseEnv.some((entry) => entry.startsWith("PATH="))) {
-          baseEnv.unshift(`PATH=${buildExecPathEnv()}`);
-        }
-
-        this.settings.activeProfileByProvider[provider] = preferredProfile.id;
-        return {
-          id: this.toProviderAgentId(provider),
-          displayName: providerAgentDisplayName(provider),
-          command: launch.command,
-          args: [...launch.argsPrefix, ...buildProviderCodexArgs(provider, endpoint, selectedModel, { wireApi })],
-          env: baseEnv,
-          ...this.buildAgentModelHintFields(provider, selectedModel),
-        };
-      })
-      .filter(Boolean);
+    const generated = [];
+    for (const provider of providersToGenerate) {
+      const preferredProfile = this.getPreferredProfileForProvider(
+        provider,
+        compatibleProfiles,
+        preferredProfileIdsByProvider[provider]
+      );
+      if (!preferredProfile) {
+        continue;
+      }
+      const launch = await this.resolveProfileLaunch(preferredProfile, launchCache);
+      if (launch.nodePath && !nodePath) {
+        nodePath = launch.nodePath;
+      }
+      const selectedModel = sanitizeString(preferredProfile.model, deriveModelName(preferredProfile));
+      const baseEnv = this.buildAgentEnv(provider, preferredProfile.env);
+
+      activeProfileByProvider[provider] = preferredProfile.id;
+      generated.push({
+        id: this.toProviderAgentId(provider),
+        displayName: providerAgentDisplayName(provider, this.settings),
+        command: launch.command,
+        args: this.buildProfileAgentArgs(preferredProfile, launch),
+        env: baseEnv,
+        ...this.buildAgentModelHintFields(provider, selectedModel),
+      });
+    }
 
-    Object.keys(this.settings.activeProfileByProvider).forEach((provider) => {
-      if (!providersToGenerate.includes(provider)) {
-        delete this.settings.activeProfileByProvider[provider];
+    const providerAgentCount = generated.length;
+    const standaloneProfiles = compatibleProfiles.filter(
+      (entry) => entry.publishAsAgent && configuredProviders.includes(entry.provider)
+    );
+    const standaloneIds = new Set();
+    for (const profile of standaloneProfiles) {
+      const agentId = this.toProfileAgentId(profile.id);
+      if (standaloneIds.has(agentId)) {
+        continue;
       }
-    });
+      standaloneIds.add(agentId);
+      const launch = await this.resolveProfileLaunch(profile, launchCache);
+      if (launch.nodePath && !nodePath) {
+        nodePath = launch.nodePath;
+      }
+      const env = this.buildAgentEnv(profile.provider, profile.env);
+      generated.push({
+        id: agentId,
+        displayName: sanitizeString(profile.agentDisplayName, profile.name),
+        command: launch.command,
+        args: this.buildProfileAgentArgs(profile, launch),
+        env,
+        ...this.buildAgentModelHintFields(profile.provider, sanitizeString(profile.model, deriveModelName(profile))),
+      });
+    }
 
     data.customAgents = [...kept, ...generated];
     const generatedIds = new Set(generated.map((agent) => agent.id));
@@ -5252,41 +10526,51 @@ class LocalGatePlugin extends Plugin {
       data.defaultAgentId = generatedIds.has(preferredProviderAgent) ? preferredProviderAgent : generated[0].id;
     }
 
-    if (launch.nodePath) {
-      data.nodePath = launch.nodePath;
+    if (nodePath) {
+      data.nodePath = nodePath;
+    }
+    return {
+      path,
+      before,
+      data,
+      activeProfileByProvider,
+      generatedCount: providerAgentCount,
+      standaloneCount: generated.length - providerAgentCount,
+      skipped: normalizedProfiles.length - compatibleProfiles.length,
+    };
+  }
+
+  async applyAgentClientSyncPlan(plan, silent = false) {
+    if (!(await this.persistAgentClientSettings(plan.path, plan.data))) {
+      return false;
     }
-    await this.persistAgentClientSettings(path, data);
+    this.settings.activeProfileByProvider = { ...plan.activeProfileByProvider };
     await this.saveSettings();
 
     if (!silent) {
-      const skipped = normalizedProfiles.length - compatibleProfiles.length;
       new Notice(
-        `Local Gate: synced ${generated.length} provider agent(s) to Agent Client.` +
-          (skipped > 0 ? ` Skipped ${skipped} incompatible profile(s).` : "")
+        `Local Gate: synced ${plan.generatedCount} provider agent(s) to Agent Client.` +
+          (plan.standaloneCount > 0 ? ` Published ${plan.standaloneCount} standalone profile agent(s).` : "") +
+          (plan.skipped > 0 ? ` Skipped ${plan.skipped} incompatible profile(s).` : "")
       );
     }
+    return true;
   }
 
-  async readOrCreateAgentClientSettings(path) {
-    await this.ensureParentFolder(path);
+  async previewAgentClientSync() {
+    const plan = await this.buildAgentClientSyncPlan();
+    const diff = diffAgentClientSettings(plan.before, plan.data);
+    new LocalGateSyncPreviewModal(this.app, diff, async () => {
+      await this.applyAgentClientSyncPlan(plan);
+    }).open();
+  }
+
+  async readAgentClientSettings(path) {
     if (!(await this.app.vault.adapter.exists(path))) {
-      return {
-        codex: {
-          id: "codex-acp",
-          displayName: "Codex",
-          apiKey: "",
-          command: "codex-acp",
-          args: [],
-          env: [],
-        },
-        customAgents: [],
-        defaultAgentId: "codex-acp",
-      };
+      return defaultAgentClientSettings();
     }
-
     try {
-      const raw = await this.app.vault.adapter.read(path);
-      const parsed = JSON.parse(raw);
+      const parsed = JSON.parse(await this.app.vault.adapter.read(path));
       if (typeof parsed === "object" && parsed !== null) {
         if (!Array.isArray(parsed.customAgents)) {
           parsed.customAgents = [];
@@ -5295,19 +10579,12 @@ class LocalGatePlugin extends Plugin {
       }
     } catch (_error) {
     }
+    return defaultAgentClientSettings();
+  }
 
-    return {
-      codex: {
-        id: "codex-acp",
-        displayName: "Codex",
-        apiKey: "",
-        command: "codex-acp",
-        args: [],
-        env: [],
-      },
-      customAgents: [],
-      defaultAgentId: "codex-acp",
-    };
+  async readOrCreateAgentClientSettings(path) {
+    await this.ensureParentFolder(path);
+    return this.readAgentClientSettings(path);
   }
 
   async ensureParentFolder(filePath) {